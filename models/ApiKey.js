@@ -0,0 +1,74 @@
+// models/ApiKey.js
+// Personal API keys for integrations (CRM, reporting sheets, …). A key acts
+// as the user who created it, limited to its scopes. Only a hash of the key
+// is stored; the short prefix identifies it in lists and logs.
+
+const mongoose = require('mongoose');
+
+// <area>:read allows GET requests under that area's routes, <area>:write the rest
+const SCOPES = [
+  'requests:read', 'requests:write',
+  'pricing:read', 'pricing:write',
+  'users:read', 'users:write',
+  'chat:read', 'chat:write',
+  'notifications:read', 'notifications:write',
+  'uploads:write',
+];
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Label chosen by the user, e.g. "HubSpot sync"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  // First characters of the key (e.g. "nst_3f9a1c2b") — safe to show
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of the full key
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: (v) => v.length > 0,
+  },
+  // Bumped (at most once a minute) whenever the key is used
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+    default: null,
+  },
+  // null = never expires
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
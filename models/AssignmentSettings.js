@@ -0,0 +1,72 @@
+// models/AssignmentSettings.js
+// How the assignment engine (utils/assignment.js) ranks workers and whether
+// it assigns new requests by itself.
+// A single document (key: 'global') — created on first read, then edited by admin.
+
+const mongoose = require('mongoose');
+
+const weight = (defaultValue) => ({
+  type: Number,
+  min: 0,
+  max: 1,
+  default: defaultValue,
+});
+
+const assignmentSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true,
+  },
+  // Assign the best-ranked worker as soon as a request is created
+  autoAssign: {
+    type: Boolean,
+    default: false,
+  },
+  // Auto-assign only when the worker covers at least this share of the services
+  minSkillMatch: weight(0.5),
+  // Workers carrying this many active projects are not suggested
+  maxActiveProjects: {
+    type: Number,
+    min: 1,
+    default: 5,
+  },
+  // How long a worker has to accept or decline an assignment
+  acceptWindowMinutes: {
+    type: Number,
+    min: 5,
+    default: 24 * 60,
+  },
+  // Where a declined or expired assignment goes: back to the admin queue,
+  // or straight to the next suggested worker (falling back to the queue)
+  reassignTo: {
+    type: String,
+    enum: ['queue', 'next_suggestion'],
+    default: 'queue',
+  },
+  // How much each factor counts toward the score (normalised when ranking)
+  weights: {
+    skill:  weight(0.5),
+    load:   weight(0.3),
+    rating: weight(0.2),
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+const AssignmentSettings = mongoose.model('AssignmentSettings', assignmentSettingsSchema);
+
+AssignmentSettings.getSettings = async () => {
+  return AssignmentSettings.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = AssignmentSettings;
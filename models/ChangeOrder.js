@@ -0,0 +1,98 @@
+// models/ChangeOrder.js
+// A proposed change to a request's scope after it was paid for: extra
+// services and/or a different plan. Either side proposes it; the client
+// accepts (paying the price difference) or rejects it, and the proposer can
+// withdraw it. An accepted change is applied to the Request and recorded in
+// its changeLog. A request has at most one proposed change at a time, and one
+// whose quote no longer matches the request when it's accepted goes "stale".
+
+const mongoose = require('mongoose');
+
+const changeOrderSchema = new mongoose.Schema({
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true,
+    index: true,
+  },
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  proposedByRole: {
+    type: String,
+    enum: ['client', 'worker', 'admin'],
+    required: true,
+  },
+  // Services to add (not already on the request)
+  addServices: [{
+    type: String,
+  }],
+  // New plan tier, or null to keep the current one
+  newPlan: {
+    type: String,
+    enum: ['basic', 'standard', 'premium', null],
+    default: null,
+  },
+  note: {
+    type: String,
+    default: null,
+    maxlength: 2000,
+  },
+
+  // The request's services and plan the quote was made for
+  baseServices: [{
+    type: String,
+  }],
+  basePlan: {
+    type: String,
+    default: null,
+  },
+
+  // Price quote, fixed when proposed (utils/pricing.js, current prices):
+  // amountDue = price(after) − price(before), what the client pays to accept
+  priceBefore: { type: Number, required: true },
+  priceAfter:  { type: Number, required: true },
+  amountDue:   { type: Number, required: true, min: 0 },
+
+  status: {
+    type: String,
+    enum: ['proposed', 'accepted', 'rejected', 'withdrawn', 'stale'],
+    default: 'proposed',
+  },
+  // Razorpay order created by the server for amountDue (POST .../payment-order)
+  razorpayOrderId: {
+    type: String,
+    default: undefined,
+  },
+  // Razorpay payment for amountDue — one payment can't pay for two changes
+  paymentId: {
+    type: String,
+    default: undefined,
+  },
+  decidedAt: {
+    type: Date,
+    default: null,
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  decisionNote: {
+    type: String,
+    default: null,
+  },
+}, { timestamps: true });
+
+changeOrderSchema.index({ paymentId: 1 }, { unique: true, sparse: true });
+// One proposed change per request — two open at once could each be priced
+// against a request the other is about to change
+changeOrderSchema.index(
+  { requestId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'proposed' } }
+);
+changeOrderSchema.index({ razorpayOrderId: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('ChangeOrder', changeOrderSchema);
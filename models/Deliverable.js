@@ -0,0 +1,60 @@
+// models/Deliverable.js
+// One round of finished work a worker hands over for a request. The client
+// approves it (request completed) or asks for a revision (back to
+// in_progress, and the worker submits a new round). Rounds stay on record
+// until the request itself is deleted.
+
+const mongoose = require('mongoose');
+
+const deliverableSchema = new mongoose.Schema({
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true,
+  },
+  // 1 for the first submission, +1 for each revision
+  round: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  workerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  files: [{
+    _id: false,
+    url: { type: String, required: true },
+    name: { type: String, default: null },
+  }],
+  note: {
+    type: String,
+    default: null,
+    maxlength: 5000,
+  },
+  decision: {
+    type: String,
+    enum: ['pending', 'approved', 'revision_requested'],
+    default: 'pending',
+  },
+  // What the client wants changed (revision_requested only)
+  clientComment: {
+    type: String,
+    default: null,
+    maxlength: 5000,
+  },
+  decidedAt: {
+    type: Date,
+    default: null,
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, { timestamps: true });
+
+deliverableSchema.index({ requestId: 1, round: 1 }, { unique: true });
+
+module.exports = mongoose.model('Deliverable', deliverableSchema);
@@ -0,0 +1,75 @@
+// models/ImpersonationLog.js
+// Audit trail of admins signing in "as" another user for support.
+// One document per impersonation session, with every API call made during it.
+
+const mongoose = require('mongoose');
+
+// Keep the per-session action list bounded
+const MAX_ACTIONS = 500;
+
+const impersonationLogSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  adminEmail: {
+    type: String,
+    default: null,
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  targetEmail: {
+    type: String,
+    default: null,
+  },
+  // The Session the impersonation token is tied to
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    unique: true,
+  },
+  // Why the admin needed to see the account (support ticket, complaint, …)
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+  },
+  // false = read-only (GET only); true = admin explicitly asked to act as the user
+  allowWrites: {
+    type: Boolean,
+    default: false,
+  },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set when the admin ends the session early (logout)
+  endedAt: {
+    type: Date,
+    default: null,
+  },
+  actions: [{
+    _id: false,
+    method: String,
+    path: String,
+    // Writes refused because the session is read-only
+    blocked: { type: Boolean, default: false },
+    at: { type: Date, default: Date.now },
+  }],
+}, { timestamps: true });
+
+impersonationLogSchema.index({ createdAt: -1 });
+
+impersonationLogSchema.statics.MAX_ACTIONS = MAX_ACTIONS;
+
+module.exports = mongoose.model('ImpersonationLog', impersonationLogSchema);
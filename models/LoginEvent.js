@@ -0,0 +1,57 @@
+// models/LoginEvent.js
+// Audit log of every sign-in attempt — successful or not. Admins query it to
+// spot password-guessing and logins from unfamiliar places.
+
+const mongoose = require('mongoose');
+
+const loginEventSchema = new mongoose.Schema({
+  // null when the email doesn't belong to any account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null,
+    index: true,
+  },
+  method: {
+    type: String,
+    enum: ['password', 'google', 'mfa', 'magic_link'],
+    required: true,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  // Why a failed attempt failed
+  reason: {
+    type: String,
+    enum: [
+      'unknown_email',
+      'bad_password',
+      'not_verified',
+      'locked',
+      'bad_mfa_code',
+      null,
+    ],
+    default: null,
+  },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  // Successful sign-in from an IP this account has never signed in from before
+  newIp: { type: Boolean, default: false },
+  // This failure tipped the account into a lockout
+  triggeredLock: { type: Boolean, default: false },
+}, { timestamps: true });
+
+loginEventSchema.index({ userId: 1, ip: 1, success: 1 });
+
+// Keep 90 days of history (also serves newest-first sorting)
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
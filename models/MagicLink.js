@@ -0,0 +1,56 @@
+// models/MagicLink.js
+// One-time passwordless sign-in links. The emailed token opens a confirmation
+// page that approves the link; the app, which holds a separate poll token,
+// then collects the JWTs.
+
+const mongoose = require('mongoose');
+
+const magicLinkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // SHA-256 of the token in the emailed link
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // SHA-256 of the token the app polls with
+  pollTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // Where the link was asked for, shown on the confirmation page so the
+  // inbox owner can tell whether it was them
+  requestedIp: {
+    type: String,
+    default: null,
+  },
+  requestedDevice: {
+    type: String,
+    default: null,
+  },
+  // Set when the inbox owner confirms the sign-in on that page
+  approvedAt: {
+    type: Date,
+    default: null,
+  },
+  // Set when the app has collected its tokens — the link is dead after this
+  consumedAt: {
+    type: Date,
+    default: null,
+  },
+  // Links are valid for 15 minutes; MongoDB deletes the doc afterwards (TTL index)
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 15 * 60 * 1000),
+    index: { expires: 0 },
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('MagicLink', magicLinkSchema);
@@ -19,6 +19,17 @@ const notificationSchema = new mongoose.Schema({
       'request_completed', // client gets this when marked complete
       'new_message',       // user gets this on new chat message
       'payment_received',  // admin gets this when client pays
+      'request_cancelled', // admins + assigned worker (and client, if an admin cancelled)
+      'refund_processed',  // client gets this when their refund has been paid out
+      'milestone_updated', // client/worker get this when a milestone is added, delivered, approved…
+      'deliverable_submitted', // client gets this when the worker hands over work for review
+      'revision_requested',    // worker gets this when the client asks for changes
+      'review_received',       // worker gets this when the client rates their work
+      'assignment_accepted',   // admins get this when a worker accepts an assignment
+      'assignment_declined',   // admins get this when a worker declines (or the offer expires)
+      'sla_reminder',          // worker (or admins, if unassigned) before a request is due
+      'sla_overdue',           // admins + worker when a request passes its due date
+      'change_order_updated',  // client/worker/admins when a scope change is proposed, accepted or rejected
     ],
     default: 'status_updated',
   },
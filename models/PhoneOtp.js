@@ -0,0 +1,69 @@
+// models/PhoneOtp.js
+// The one-time code texted to a user to prove they own a phone number.
+// One document per user; sending a new code replaces the old one. The
+// document is kept until both the current code has expired and the hourly
+// send window is over, so neither a fresh code nor the send limit is lost
+// early.
+
+const mongoose = require('mongoose');
+
+// MAX_SENDS_PER_HOUR (utils/phoneOtp.js) is counted over this window
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+const phoneOtpSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  // Number being verified (E.164) — copied to User.phone on success
+  phone: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 of userId + phone + code — the code itself is never stored
+  codeHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  codeExpiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Wrong guesses against the current code
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Codes sent since windowStartedAt
+  sendCount: {
+    type: Number,
+    default: 1,
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now,
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Later of codeExpiresAt and the end of the send window — MongoDB deletes
+  // the doc then (TTL index). Kept up to date on every save.
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 },
+  },
+}, { timestamps: true });
+
+phoneOtpSchema.pre('save', function (next) {
+  const windowEndsAt = new Date(this.windowStartedAt.getTime() + SEND_WINDOW_MS);
+  this.expiresAt = this.codeExpiresAt > windowEndsAt ? this.codeExpiresAt : windowEndsAt;
+  next();
+});
+
+phoneOtpSchema.statics.SEND_WINDOW_MS = SEND_WINDOW_MS;
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
@@ -32,6 +32,19 @@ const planTierSchema = new mongoose.Schema({
         type: [String],
         default: [],
     },
+    // Revision rounds a client may ask for per request. null = unlimited.
+    revisionLimit: {
+        type: Number,
+        min: 0,
+        default: undefined,
+    },
+    // Delivery promise: a request is due this many days after it's created
+    // (see utils/sla.js). Fractions allowed, e.g. 1.5.
+    slaDays: {
+        type: Number,
+        min: 0.25,
+        default: undefined,
+    },
 }, {
     timestamps: true,
 });
@@ -47,6 +60,8 @@ const DEFAULT_TIERS = [
         multiplier: 1.0,
         color: '#68D391',
         perks: ['Standard queue', '7-day delivery', 'Email updates'],
+        revisionLimit: 1,
+        slaDays: 7,
     },
     {
         tierId: 'standard',
@@ -55,6 +70,8 @@ const DEFAULT_TIERS = [
         multiplier: 1.5,
         color: '#63B3ED',
         perks: ['Priority queue', '3–4 day delivery', 'Chat support'],
+        revisionLimit: 3,
+        slaDays: 4,
     },
     {
         tierId: 'premium',
@@ -63,6 +80,8 @@ const DEFAULT_TIERS = [
         multiplier: 2.5,
         color: '#8B7FD5',
         perks: ['Dedicated worker', '1–2 day express', '24/7 support'],
+        revisionLimit: null,
+        slaDays: 2,
     },
 ];
 
@@ -74,4 +93,21 @@ PlanTier.seedDefaults = async () => {
     }
 };
 
+// Tiers seeded before revision limits existed have no revisionLimit field —
+// fall back to the defaults above for them
+PlanTier.getRevisionLimit = async (tierId) => {
+    const tier = await PlanTier.findOne({ tierId }).lean();
+    if (tier && tier.revisionLimit !== undefined) return tier.revisionLimit;
+    const fallback = DEFAULT_TIERS.find((t) => t.tierId === tierId);
+    return fallback ? fallback.revisionLimit : null;
+};
+
+// Same fallback for tiers seeded before SLAs existed
+PlanTier.getSlaDays = async (tierId) => {
+    const tier = await PlanTier.findOne({ tierId }).lean();
+    if (tier && tier.slaDays !== undefined && tier.slaDays !== null) return tier.slaDays;
+    const fallback = DEFAULT_TIERS.find((t) => t.tierId === tierId);
+    return fallback ? fallback.slaDays : null;
+};
+
 module.exports = PlanTier;
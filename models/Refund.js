@@ -0,0 +1,84 @@
+// models/Refund.js
+// Money owed back to a client for a cancelled request. Created when the
+// request is cancelled; an admin marks it processed once the payment
+// gateway refund has gone through.
+
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  // One refund per request — also stops a double cancel from refunding twice
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true,
+    unique: true,
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Razorpay payment the money goes back to
+  paymentId: {
+    type: String,
+    default: null,
+  },
+  amountPaid: {
+    type: Number,
+    required: true,
+  },
+  // Policy percentage applied (snapshot — later policy edits don't change it)
+  percent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  statusAtCancellation: {
+    type: String,
+    required: true,
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  cancelledByRole: {
+    type: String,
+    enum: ['client', 'admin', 'system'],
+    required: true,
+  },
+  // not_applicable = nothing to pay back (0% or the request was never paid)
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'not_applicable'],
+    default: 'pending',
+    index: true,
+  },
+  // Gateway reference recorded by the admin (e.g. Razorpay rfnd_XXXXXXXX)
+  gatewayRefundId: {
+    type: String,
+    default: null,
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,51 @@
+// models/RefundPolicy.js
+// How much of the amount paid goes back to the client when a request is
+// cancelled, by the status it was in at the time. Completed requests can't
+// be cancelled, so they never get a refund.
+// A single document (key: 'global') — created on first read, then edited by admin.
+
+const mongoose = require('mongoose');
+
+const percent = (defaultValue) => ({
+  type: Number,
+  min: 0,
+  max: 100,
+  default: defaultValue,
+});
+
+const refundPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true,
+  },
+  // Percent of amountPaid refunded when cancelled while in each status
+  percentByStatus: {
+    pending:     percent(100),
+    assigned:    percent(100),
+    in_progress: percent(50),
+    review:      percent(50),
+    on_hold:     percent(50),
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+const RefundPolicy = mongoose.model('RefundPolicy', refundPolicySchema);
+
+RefundPolicy.CANCELLABLE_STATUSES = ['pending', 'assigned', 'in_progress', 'review', 'on_hold'];
+
+RefundPolicy.getPolicy = async () => {
+  return RefundPolicy.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = RefundPolicy;
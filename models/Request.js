@@ -3,6 +3,135 @@
 
 const mongoose = require('mongoose');
 
+// pending → assigned → in_progress → review → completed, plus on_hold / cancelled
+const STATUSES = ['pending', 'assigned', 'in_progress', 'review', 'completed', 'on_hold', 'cancelled'];
+// Nothing more happens to a request once it's in one of these
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...STATUSES, null],
+    default: null   // null for the entry written at creation
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  // null when the system made the change (e.g. a worker account was deleted)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    enum: ['client', 'worker', 'admin', 'system'],
+    required: true
+  },
+  reason: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A file or link handed over for a milestone
+const deliverableSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Staged delivery for larger jobs. pending → delivered → approved, or
+// delivered → changes_requested → delivered again.
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 120
+  },
+  description: {
+    type: String,
+    default: null,
+    maxlength: 1000
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  // Percent of the request's amountPaid this milestone is worth (all ≤ 100 together)
+  amountShare: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'changes_requested', 'approved'],
+    default: 'pending'
+  },
+  deliverables: [deliverableSchema],
+  deliveryNote: {
+    type: String,
+    default: null,
+    maxlength: 2000
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  // Every "request changes" from the client, oldest first
+  feedback: [{
+    _id: false,
+    comment: { type: String, required: true, maxlength: 2000 },
+    at: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+milestoneSchema.virtual('amount').get(function () {
+  const request = this.parent();
+  return request ? Math.round((request.amountPaid || 0) * (this.amountShare || 0) / 100) : null;
+});
+
+milestoneSchema.set('toJSON', { virtuals: true });
+
+// One accepted change order (see models/ChangeOrder.js)
+const changeLogSchema = new mongoose.Schema({
+  changeOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChangeOrder',
+    required: true
+  },
+  addedServices: [{ type: String }],
+  fromPlan: { type: String, default: null },
+  toPlan: { type: String, default: null },
+  amountAdded: { type: Number, default: 0 },
+  paymentId: { type: String, default: null },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const requestSchema = new mongoose.Schema({
   // Client who made the request
   clientId: {
@@ -34,13 +163,17 @@ const requestSchema = new mongoose.Schema({
     minlength: 20
   },
 
-  // Request status
+  // Request status — only changed through utils/requestStatus.js, which
+  // enforces the allowed transitions and writes statusHistory
   status: {
     type: String,
-    enum: ['pending', 'assigned', 'in_progress', 'completed'],
+    enum: STATUSES,
     default: 'pending'
   },
 
+  // Every status change, oldest first
+  statusHistory: [statusChangeSchema],
+
   // Assigned worker (optional)
   assignedWorkerId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -53,12 +186,56 @@ const requestSchema = new mongoose.Schema({
     default: null
   },
 
+  // The assigned worker's answer (POST /:id/accept | /:id/decline).
+  // 'awaiting' assignments expire at assignmentExpiresAt — see utils/assignment.js.
+  // null for requests assigned before workers could answer.
+  assignmentResponse: {
+    type: String,
+    enum: ['awaiting', 'accepted', null],
+    default: null
+  },
+  assignmentExpiresAt: {
+    type: Date,
+    default: null
+  },
+  assignmentAcceptedAt: {
+    type: Date,
+    default: null
+  },
+  // Workers who declined this request or let the assignment expire —
+  // never picked for it again automatically
+  declinedWorkerIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
   // Deadline
   deadline: {
     type: Date,
     default: null
   },
 
+  // SLA due date from the plan tier's slaDays, set on creation (utils/sla.js).
+  // null for requests created before SLAs existed.
+  dueAt: {
+    type: Date,
+    default: null
+  },
+  // When the "due soon" reminder goes out, and when it / the overdue
+  // escalation actually went out (so the scheduler sends each once)
+  slaReminderAt: {
+    type: Date,
+    default: null
+  },
+  slaReminderSentAt: {
+    type: Date,
+    default: null
+  },
+  slaEscalatedAt: {
+    type: Date,
+    default: null
+  },
+
   // Uploaded files (array of URLs)
   uploadedFiles: [{
     type: String
@@ -81,9 +258,10 @@ const requestSchema = new mongoose.Schema({
     default: 0      // Total amount paid (INR, including 18% GST)
   },
 
+  // refund_* once the request is cancelled — see models/Refund.js
   paymentStatus: {
     type: String,
-    enum: ['unpaid', 'paid'],
+    enum: ['unpaid', 'paid', 'refund_pending', 'refunded', 'partially_refunded'],
     default: 'unpaid'
   },
 
@@ -92,6 +270,19 @@ const requestSchema = new mongoose.Schema({
     type: String,
     enum: ['basic', 'standard', 'premium'],
     default: 'basic'
+  },
+
+  // Optional staged delivery — see milestoneSchema
+  milestones: [milestoneSchema],
+
+  // Accepted scope changes, oldest first
+  changeLog: [changeLogSchema],
+
+  // Revision rounds the client has asked for (limited by the plan tier)
+  revisionCount: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 
 }, {
@@ -103,7 +294,41 @@ requestSchema.index({ clientId: 1 });
 requestSchema.index({ assignedWorkerId: 1 });
 requestSchema.index({ status: 1 });
 requestSchema.index({ createdAt: -1 }); // Sort by newest first
+requestSchema.index({ assignmentResponse: 1, assignmentExpiresAt: 1 }); // Expiry sweep
+requestSchema.index({ status: 1, dueAt: 1 });                         // SLA checks
+
+// Percent complete from approved milestones, weighted by amountShare
+// (or by count when no shares are set). null when there are no milestones.
+requestSchema.virtual('progress').get(function () {
+  const milestones = this.milestones || [];
+  if (milestones.length === 0) return null;
+
+  const approved = milestones.filter((m) => m.status === 'approved');
+  const totalShare = milestones.reduce((sum, m) => sum + (m.amountShare || 0), 0);
+  if (totalShare > 0) {
+    const approvedShare = approved.reduce((sum, m) => sum + (m.amountShare || 0), 0);
+    return Math.round((approvedShare / totalShare) * 100);
+  }
+  return Math.round((approved.length / milestones.length) * 100);
+});
+
+// Past the SLA due date and still open
+requestSchema.virtual('isOverdue').get(function () {
+  return !!this.dueAt && !CLOSED_STATUSES.includes(this.status) && this.dueAt.getTime() < Date.now();
+});
+
+// Seconds until the SLA due date (negative once overdue); null when there's
+// no due date or the request is closed
+requestSchema.virtual('dueIn').get(function () {
+  if (!this.dueAt || CLOSED_STATUSES.includes(this.status)) return null;
+  return Math.round((this.dueAt.getTime() - Date.now()) / 1000);
+});
+
+requestSchema.set('toJSON', { virtuals: true });
 
 const Request = mongoose.model('Request', requestSchema);
 
+Request.STATUSES = STATUSES;
+Request.CLOSED_STATUSES = CLOSED_STATUSES;
+
 module.exports = Request;
\ No newline at end of file
@@ -0,0 +1,86 @@
+// models/Review.js
+// A client's star rating of the worker who completed their request. One per
+// request; the client can edit it for REVIEW_EDIT_DAYS after posting. Hidden
+// reviews (hidden by an admin) stay stored but no longer count toward the
+// worker's rating.
+
+const mongoose = require('mongoose');
+
+const REVIEW_EDIT_DAYS = 7;
+
+const reviewSchema = new mongoose.Schema({
+  requestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true,
+    unique: true,
+  },
+  workerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Snapshot for display (anonymised if the client deletes their account)
+  clientName: {
+    type: String,
+    required: true,
+  },
+  // Services on the request, so the worker's profile can show what was rated
+  services: [{
+    type: String,
+  }],
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+  },
+  comment: {
+    type: String,
+    default: '',
+    maxlength: 2000,
+  },
+  editableUntil: {
+    type: Date,
+    required: true,
+  },
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+
+  // Moderation
+  isHidden: {
+    type: Boolean,
+    default: false,
+  },
+  hiddenReason: {
+    type: String,
+    default: null,
+  },
+  hiddenAt: {
+    type: Date,
+    default: null,
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, { timestamps: true });
+
+reviewSchema.index({ workerId: 1, isHidden: 1, createdAt: -1 });
+
+reviewSchema.methods.isEditable = function () {
+  return !this.isHidden && this.editableUntil > new Date();
+};
+
+reviewSchema.statics.EDIT_DAYS = REVIEW_EDIT_DAYS;
+
+module.exports = mongoose.model('Review', reviewSchema);
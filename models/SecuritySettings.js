@@ -0,0 +1,37 @@
+// models/SecuritySettings.js
+// Admin-controlled, platform-wide security switches.
+// A single document (key: 'global') — created on first read, then edited by admin.
+
+const mongoose = require('mongoose');
+
+const securitySettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true,
+  },
+  // Roles that must have two-factor authentication enabled to sign in
+  mfaRequiredRoles: {
+    type: [{ type: String, enum: ['client', 'worker', 'admin'] }],
+    default: [],
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+const SecuritySettings = mongoose.model('SecuritySettings', securitySettingsSchema);
+
+SecuritySettings.getSettings = async () => {
+  return SecuritySettings.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = SecuritySettings;
@@ -0,0 +1,79 @@
+// models/Session.js
+// One document per signed-in device. Access tokens carry the session id (sid)
+// so revoking a session here logs that device out on its next API call.
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // SHA-256 of the current refresh token — the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // Hash of the token this one replaced — seeing it again means the old
+  // refresh token was stolen and replayed, so the whole session is revoked
+  previousTokenHash: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  // Device info shown in the "Active devices" list — sent by the app at sign-in
+  deviceName: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 100,
+  },
+  platform: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 30,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  // Bumped (at most once a minute) whenever the session's access token is used
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  // Admin who opened this session to view the account (support impersonation).
+  // Such sessions have no usable refresh token and aren't shown to the user.
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Refresh tokens stop working after this — MongoDB deletes the doc too (TTL index)
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 },
+  },
+}, { timestamps: true });
+
+sessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
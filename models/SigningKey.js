@@ -0,0 +1,52 @@
+// models/SigningKey.js
+// Keys used to sign JWTs. The newest key signs; older ones keep verifying
+// tokens already in circulation until they are retired, so rotating a key
+// doesn't log everyone out. Tokens name their key in the `kid` header.
+
+const mongoose = require('mongoose');
+
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  algorithm: {
+    type: String,
+    enum: ['HS256', 'RS256', 'ES256', 'EdDSA'],
+    required: true,
+  },
+  // HS256 only. The 'env' key has none — it stands for process.env.JWT_SECRET
+  secret: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  // RS256 / ES256 / EdDSA (Ed25519) only (PEM). The public half is published at /api/auth/keys/jwks.json
+  privateKey: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  publicKey: {
+    type: String,
+    default: null,
+  },
+  // When a newer key took over signing — from then on this key only verifies
+  supersededAt: {
+    type: Date,
+    default: null,
+  },
+  // Tokens signed with this key are no longer accepted
+  retiredAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
@@ -31,12 +31,20 @@ const userSchema = new mongoose.Schema({
     sparse: true   // Allows multiple null values in unique index
   },
 
+  // Provider the account was originally created with (kept for older app builds).
+  // Use authProviders / getAuthProviders() to know how the user can sign in.
   authProvider: {
     type: String,
     enum: ['local', 'google'],
     default: 'local'
   },
 
+  // Every sign-in method linked to this account
+  authProviders: [{
+    type: String,
+    enum: ['local', 'google']
+  }],
+
   // Full name
   fullName: {
     type: String,
@@ -69,6 +77,15 @@ const userSchema = new mongoose.Schema({
     default: null,
     trim: true
   },
+  // Set by POST /api/auth/phone/verify-otp; cleared whenever phone changes
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
 
   // Email verification
   isEmailVerified: {
@@ -95,11 +112,87 @@ const userSchema = new mongoose.Schema({
     default: null
   },
 
+  // Email change awaiting confirmation from the new address
+  pendingEmail: {
+    type: String,
+    default: null,
+    lowercase: true,
+    trim: true
+  },
+  // SHA-256 of the link sent to the new address (confirms the change)
+  emailChangeToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // SHA-256 of the link sent to the old address (cancels the change)
+  emailChangeCancelToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailChangeExpires: {
+    type: Date,
+    default: null
+  },
+
+  // Account lockout after repeated failed sign-ins (see utils/loginSecurity.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // How many times the account has been locked since the last successful
+  // sign-in — each lock lasts twice as long as the previous one
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Two-factor authentication (TOTP) — secrets are never returned in queries
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret generated by /mfa/setup, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last accepted TOTP time step — the same code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+
   // Worker-specific fields (only for workers)
   workerProfile: {
     skills: [{
       type: String           // Array of skills
     }],
+    // Kept in step with the Request collection by utils/workerCounters.js
     activeProjects: {
       type: Number,
       default: 0
@@ -108,12 +201,17 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Average of visible client reviews (see utils/reviews.js)
     rating: {
       type: Number,
       default: 0,
       min: 0,               // Minimum 0
       max: 5                // Maximum 5
     },
+    reviewCount: {
+      type: Number,
+      default: 0
+    },
     isAvailable: {
       type: Boolean,
       default: true
@@ -139,6 +237,18 @@ userSchema.index({ role: 1 });         // Search by role
 // METHODS (Functions you can use)
 // ==========================================
 
+// Linked sign-in methods. Accounts created before authProviders existed
+// have an empty list, so fall back to what the document actually holds.
+userSchema.methods.getAuthProviders = function () {
+  if (this.authProviders && this.authProviders.length > 0) {
+    return [...this.authProviders];
+  }
+  const providers = [];
+  if (this.password) providers.push('local');
+  if (this.googleId) providers.push('google');
+  return providers;
+};
+
 // Remove password when converting to JSON
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
@@ -0,0 +1,85 @@
+// models/WorkerInvite.js
+// Invitations for new workers. The admin fills in who they are; the worker
+// chooses their own password from the emailed link — admins never see it.
+
+const mongoose = require('mongoose');
+
+const workerInviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  fullName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  skills: {
+    type: [String],
+    default: [],
+  },
+  phone: {
+    type: String,
+    default: null,
+  },
+  // SHA-256 of the token in the invite link — replaced on every resend
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  sendCount: {
+    type: Number,
+    default: 1,
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now,
+  },
+  acceptedAt: {
+    type: Date,
+    default: null,
+  },
+  acceptedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, { timestamps: true });
+
+workerInviteSchema.index({ email: 1, status: 1 });
+
+// Pending invites past their expiry are reported as 'expired'
+workerInviteSchema.virtual('effectiveStatus').get(function () {
+  if (this.status === 'pending' && this.expiresAt < new Date()) return 'expired';
+  return this.status;
+});
+
+// select: false only covers queries — a freshly created or resent invite
+// still holds tokenHash in memory, so strip it from every API response too
+workerInviteSchema.set('toJSON', {
+  virtuals: true,
+  transform(doc, ret) {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('WorkerInvite', workerInviteSchema);
@@ -0,0 +1,144 @@
+// routes/apiKeys.js - PERSONAL API KEYS
+// Create / list / revoke keys that let integrations call the API as you.
+// Keys are used with the X-API-Key header and can't reach /api/auth routes,
+// so an API key can never create more keys.
+// Mounted at /api/auth/api-keys
+
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken } = require('../utils/tokens');
+const { generateApiKey } = require('../utils/apiKeys');
+
+const router = express.Router();
+
+const MAX_ACTIVE_KEYS = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+// ── Auth middleware ──────────────────────────────
+const authenticateToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+  try {
+    req.user = await verifyAccessToken(token, req);
+    next();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
+    res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+function describeKey(k) {
+  return {
+    id: k._id,
+    name: k.name,
+    prefix: k.prefix,
+    scopes: k.scopes,
+    lastUsedAt: k.lastUsedAt,
+    lastUsedIp: k.lastUsedIp,
+    expiresAt: k.expiresAt,
+    revokedAt: k.revokedAt,
+    createdAt: k.createdAt,
+  };
+}
+
+// ════════════════════════════════════════════════
+// GET /api/auth/api-keys
+// ════════════════════════════════════════════════
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ userId: req.user.userId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ keys: keys.map(describeKey), availableScopes: ApiKey.SCOPES });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// POST /api/auth/api-keys
+// Body: { name, scopes: ['requests:read', ...], expiresInDays? }
+// The full key is returned ONCE — only its hash is kept.
+// ════════════════════════════════════════════════
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'A name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !ApiKey.SCOPES.includes(s))) {
+      return res.status(400).json({
+        error: 'scopes must be a non-empty list of valid scopes',
+        availableScopes: ApiKey.SCOPES,
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await ApiKey.countDocuments({
+      userId: req.user.userId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.` });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      userId: req.user.userId,
+      name: name.trim().slice(0, 100),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt,
+    });
+
+    res.status(201).json({
+      message: 'Copy this key now — it will not be shown again.',
+      key,
+      apiKey: describeKey(apiKey),
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// DELETE /api/auth/api-keys/:id  — revoke (kept for the audit trail)
+// ════════════════════════════════════════════════
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid key id' });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    res.json({ message: 'API key revoked', apiKey: describeKey(apiKey) });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+module.exports = router;
@@ -2,14 +2,57 @@
 // Handles signup, login, google sign-in, get profile
 
 const express = require('express');
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const PendingRegistration = require('../models/PendingRegistration');
+const MagicLink = require('../models/MagicLink');
+const Request = require('../models/Request');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const PhoneOtp = require('../models/PhoneOtp');
 const admin = require('firebase-admin');
-const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/mailer');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeConfirmEmail,
+  sendEmailChangeNoticeEmail,
+} = require('../utils/mailer');
+const { mfaGate } = require('../utils/mfa');
+const { validatePassword, passwordErrorResponse, describePolicy } = require('../utils/passwordPolicy');
+const { deleteUserAccount } = require('../utils/accountDeletion');
+const { sendSms } = require('../utils/sms');
+const {
+  OTP_TTL_MINUTES,
+  MAX_VERIFY_ATTEMPTS,
+  RESEND_COOLDOWN_SECONDS,
+  MAX_SENDS_PER_HOUR,
+  normalizePhone,
+  generateOtp,
+  hashOtp,
+  otpMatches,
+  maskPhone,
+} = require('../utils/phoneOtp');
+const {
+  isLocked,
+  logLoginEvent,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} = require('../utils/loginSecurity');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  verifyAccessToken,
+  issueImpersonationToken,
+  endImpersonation,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  hashToken,
+} = require('../utils/tokens');
 
 const router = express.Router();
 
@@ -30,6 +73,14 @@ const signupLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,                   // generous — apps refresh every few minutes
+  message: { error: 'Too many refresh attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 const forgotPasswordLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5,                    // 5 reset emails per window
@@ -38,6 +89,27 @@ const forgotPasswordLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,                    // 5 sign-in links per window
+  message: { error: 'Too many sign-in link requests. Please try again in 15 minutes.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const phoneOtpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20,                   // send + verify calls per IP
+  message: { error: 'Too many phone verification attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// User-supplied text rendered into the HTML pages below
+const escapeHtml = (str) => String(str).replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[c]));
+
 // ==========================================
 // FIREBASE ADMIN - Initialized once
 // ==========================================
@@ -79,18 +151,23 @@ router.post('/google', async (req, res) => {
       return res.status(400).json({ error: 'Google account must have an email' });
     }
 
-    // 2. Find existing user or create a new one
-    let user = await User.findOne({ $or: [{ googleId: uid }, { email }] });
+    // 2. Find the account this Google identity is linked to, or create a new one
+    let user = await User.findOne({ googleId: uid });
 
-    if (user) {
-      // User exists — update Google info if needed
-      if (!user.googleId) {
-        user.googleId = uid;
-        user.authProvider = 'google';
-        if (!user.avatarUrl && picture) user.avatarUrl = picture;
-        await user.save();
+    if (!user) {
+      // An account with this email exists but Google was never linked to it.
+      // Don't attach it silently — the owner links it from the app after
+      // signing in with their password (POST /api/auth/providers).
+      const existing = await User.findOne({ email: email.toLowerCase() });
+      if (existing) {
+        return res.status(409).json({
+          error: 'GOOGLE_NOT_LINKED',
+          message: 'An account with this email already exists. Sign in with your password, then link Google from your profile.',
+          email: existing.email,
+          providers: existing.getAuthProviders(),
+        });
       }
-    } else {
+
       // New Google user — already verified since Google verified their email
       user = await User.create({
         email,
@@ -98,17 +175,28 @@ router.post('/google', async (req, res) => {
         avatarUrl: picture || null,
         googleId: uid,
         authProvider: 'google',
+        authProviders: ['google'],
         role: 'client',
         isEmailVerified: true, // Google handles email verification
       });
     }
 
-    // 3. Issue our own JWT (same format as regular login)
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // 3. Locked accounts stay locked whichever way they sign in
+    if (isLocked(user)) {
+      await logLoginEvent(req, { user, method: 'google', success: false, reason: 'locked' });
+      return res.status(401).json({ error: 'Invalid or expired Google token' });
+    }
+
+    // 4. Second factor — same challenge as password login
+    const mfaChallenge = await mfaGate(user);
+    if (mfaChallenge) {
+      return res.status(403).json(mfaChallenge);
+    }
+
+    await recordSuccessfulLogin(user, req, 'google');
+
+    // 5. Issue our own access + refresh tokens (same format as regular login)
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.json({
       message: 'Google sign-in successful',
@@ -119,9 +207,12 @@ router.post('/google', async (req, res) => {
         role: user.role,
         avatarUrl: user.avatarUrl,
         phone: user.phone || null,
+        isPhoneVerified: user.isPhoneVerified || false,
         workerProfile: user.workerProfile,
       },
       token,
+      refreshToken,
+      expiresIn,
     });
 
   } catch (error) {
@@ -140,8 +231,9 @@ router.post('/signup', signupLimiter, async (req, res) => {
     if (!email || !password || !fullName) {
       return res.status(400).json({ error: 'Please provide email, password, and full name' });
     }
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    const passwordCheck = validatePassword(password, { email, fullName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(passwordErrorResponse(passwordCheck.errors));
     }
 
     // Check if a real user already exists with this email
@@ -190,6 +282,13 @@ router.post('/signup', signupLimiter, async (req, res) => {
   }
 });
 
+// ==========================================
+// PASSWORD POLICY - Rules the app shows next to password fields
+// ==========================================
+router.get('/password-policy', (req, res) => {
+  res.json({ policy: describePolicy() });
+});
+
 // ==========================================
 // LOGIN - Authenticate existing user
 // ==========================================
@@ -203,11 +302,21 @@ router.post('/login', loginLimiter, async (req, res) => {
 
     const user = await User.findOne({ email });
     if (!user) {
+      await logLoginEvent(req, { email, method: 'password', success: false, reason: 'unknown_email' });
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    // Per-account lockout — catches guessing spread across many IPs. Same
+    // answer as an unknown email so the lock doesn't reveal the account;
+    // the owner learns about it from the lock email.
+    if (isLocked(user)) {
+      await logLoginEvent(req, { user, method: 'password', success: false, reason: 'locked' });
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
     // Block login for unverified email/password accounts
-    if (!user.isEmailVerified && user.authProvider !== 'google') {
+    if (!user.isEmailVerified && !user.getAuthProviders().includes('google')) {
+      await logLoginEvent(req, { user, method: 'password', success: false, reason: 'not_verified' });
       return res.status(403).json({
         error: 'EMAIL_NOT_VERIFIED',
         message: 'Please verify your email before logging in.',
@@ -215,16 +324,21 @@ router.post('/login', loginLimiter, async (req, res) => {
       });
     }
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = !!user.password && await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await recordFailedLogin(user, req);
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // 2FA enabled (or required for this role) — hand out a challenge token
+    // instead; the app finishes sign-in at /api/auth/mfa/verify
+    const mfaChallenge = await mfaGate(user);
+    if (mfaChallenge) {
+      return res.status(403).json(mfaChallenge);
+    }
+
+    await recordSuccessfulLogin(user, req, 'password');
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.json({
       message: 'Login successful',
@@ -235,9 +349,12 @@ router.post('/login', loginLimiter, async (req, res) => {
         role: user.role,
         avatarUrl: user.avatarUrl,
         phone: user.phone || null,
+        isPhoneVerified: user.isPhoneVerified || false,
         workerProfile: user.workerProfile,
       },
       token,
+      refreshToken,
+      expiresIn,
     });
 
   } catch (error) {
@@ -280,16 +397,25 @@ router.get('/check-verification', async (req, res) => {
       await PendingRegistration.deleteOne({ _id: pending._id });
     }
 
-    // Issue a JWT so the app can log in automatically
-    const token = jwt.sign(
-      { userId: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // A locked account waits like an unverified one — no tokens until the lock ends
+    if (isLocked(user)) {
+      return res.json({ verified: false });
+    }
+
+    // Accounts protected by 2FA must sign in through /login instead
+    const mfaChallenge = await mfaGate(user);
+    if (mfaChallenge) {
+      return res.json({ verified: true, ...mfaChallenge });
+    }
+
+    // Issue tokens so the app can log in automatically
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
 
     res.json({
       verified: true,
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         email: user.email,
@@ -297,6 +423,7 @@ router.get('/check-verification', async (req, res) => {
         role: user.role,
         avatarUrl: user.avatarUrl,
         phone: user.phone || null,
+        isPhoneVerified: user.isPhoneVerified || false,
         workerProfile: user.workerProfile,
       },
     });
@@ -345,6 +472,7 @@ router.get('/verify-email/:token', async (req, res) => {
     await User.create({
       email: pending.email,
       password: pending.passwordHash,
+      authProviders: ['local'],
       fullName: pending.fullName,
       phone: pending.phone || null,
       role: 'client',
@@ -411,7 +539,7 @@ router.post('/resend-verification', async (req, res) => {
 // ==========================================
 // MIDDLEWARE - Verify JWT Token
 // ==========================================
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   // Get token from header
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.split(' ')[1]; // Format: "Bearer TOKEN"
@@ -421,15 +549,300 @@ const authenticateToken = (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token signature/expiry AND that its session hasn't been revoked
+    const decoded = await verifyAccessToken(token, req);
     req.user = decoded; // Attach user info to request
     next(); // Continue to next function
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
     res.status(401).json({ error: 'Invalid token' });
   }
 };
 
+// ==========================================
+// REFRESH - Exchange a refresh token for a new token pair
+// The old refresh token stops working immediately (rotation).
+// ==========================================
+router.post('/refresh', refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn,
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// ==========================================
+// LOGOUT - Revoke the current device's session
+// ==========================================
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, req.user.userId);
+    if (req.user.impersonatedBy) await endImpersonation(req.user.sid);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
+
+// ==========================================
+// LOGOUT ALL - Revoke every session for this user (all devices)
+// ==========================================
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const count = await revokeAllSessions(req.user.userId);
+    res.json({ message: 'Logged out from all devices', sessionsRevoked: count });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to logout from all devices' });
+  }
+});
+
+// ==========================================
+// IMPERSONATE (Admin only) - View the app as another user for support
+// Body: { reason, allowWrites? }  — read-only unless allowWrites is true.
+// The token can't be refreshed; end it early with POST /logout.
+// ==========================================
+router.post('/impersonate/:userId', authenticateToken, async (req, res) => {
+  try {
+    // Always read fresh role from DB — never trust the JWT role for this
+    const adminUser = await User.findById(req.user.userId);
+    if (!adminUser || adminUser.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+    if (userId === adminUser._id.toString()) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required (e.g. the support ticket)' });
+    }
+
+    const target = await User.findById(userId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (target.role === 'admin') {
+      return res.status(403).json({ error: 'Admin accounts cannot be impersonated' });
+    }
+
+    const allowWrites = req.body.allowWrites === true;
+    const { token, expiresAt, logId } = await issueImpersonationToken(
+      adminUser, target, req, { reason: reason.slice(0, 500), allowWrites }
+    );
+
+    console.log(`🕵️  ${adminUser.email} started impersonating ${target.email} (${allowWrites ? 'read-write' : 'read-only'})`);
+
+    res.status(201).json({
+      message: `You are now viewing the app as ${target.fullName}`,
+      token,
+      expiresAt,
+      readOnly: !allowWrites,
+      auditLogId: logId,
+      user: {
+        id: target._id,
+        email: target.email,
+        fullName: target.fullName,
+        role: target.role,
+      },
+    });
+
+  } catch (error) {
+    console.error('Impersonation error:', error);
+    res.status(500).json({ error: 'Failed to start impersonation' });
+  }
+});
+
+// ==========================================
+// SIGN-IN PROVIDERS - Which ways into this account exist
+// ==========================================
+router.get('/providers', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const linked = user.getAuthProviders();
+    res.json({
+      providers: ['local', 'google'].map((provider) => ({
+        provider,
+        linked: linked.includes(provider),
+      })),
+      // The last remaining method can never be removed
+      canUnlink: linked.length > 1,
+    });
+  } catch (error) {
+    console.error('Get providers error:', error);
+    res.status(500).json({ error: 'Failed to get sign-in methods' });
+  }
+});
+
+// ==========================================
+// LINK PROVIDER
+// Body: { "provider": "google", "idToken": "..." }   — link a Google account
+//       { "provider": "local", "password": "..." }   — set a password on a Google-only account
+// ==========================================
+router.post('/providers', authenticateToken, async (req, res) => {
+  try {
+    const { provider, idToken, password } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const linked = user.getAuthProviders();
+    if (linked.includes(provider)) {
+      return res.status(400).json({ error: `${provider === 'local' ? 'Password sign-in' : 'Google'} is already linked` });
+    }
+
+    if (provider === 'google') {
+      if (!idToken) {
+        return res.status(400).json({ error: 'Firebase ID token is required' });
+      }
+
+      let decodedToken;
+      try {
+        decodedToken = await admin.auth().verifyIdToken(idToken);
+      } catch (err) {
+        return res.status(401).json({ error: 'Invalid or expired Google token' });
+      }
+
+      const owner = await User.findOne({ googleId: decodedToken.uid });
+      if (owner) {
+        return res.status(409).json({ error: 'This Google account is already linked to another Nestoric account' });
+      }
+
+      user.googleId = decodedToken.uid;
+      if (!user.avatarUrl && decodedToken.picture) user.avatarUrl = decodedToken.picture;
+
+    } else if (provider === 'local') {
+      const passwordCheck = validatePassword(password, { email: user.email, fullName: user.fullName });
+      if (!passwordCheck.valid) {
+        return res.status(400).json(passwordErrorResponse(passwordCheck.errors));
+      }
+      user.password = await bcrypt.hash(password, 10);
+
+    } else {
+      return res.status(400).json({ error: 'provider must be "local" or "google"' });
+    }
+
+    user.authProviders = [...linked, provider];
+    await user.save();
+
+    res.json({ message: 'Sign-in method linked', providers: user.authProviders });
+  } catch (error) {
+    console.error('Link provider error:', error);
+    res.status(500).json({ error: 'Failed to link sign-in method' });
+  }
+});
+
+// ==========================================
+// UNLINK PROVIDER - DELETE /api/auth/providers/:provider
+// Refused when it is the account's last way to sign in.
+// ==========================================
+router.delete('/providers/:provider', authenticateToken, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!['local', 'google'].includes(provider)) {
+      return res.status(400).json({ error: 'provider must be "local" or "google"' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const linked = user.getAuthProviders();
+    if (!linked.includes(provider)) {
+      return res.status(404).json({ error: 'That sign-in method is not linked' });
+    }
+    if (linked.length <= 1) {
+      return res.status(400).json({
+        error: 'LAST_SIGN_IN_METHOD',
+        message: 'You can\'t remove your only way to sign in. Link another method first.',
+      });
+    }
+
+    if (provider === 'local') {
+      user.password = undefined;
+    } else {
+      user.googleId = null;
+    }
+    user.authProviders = linked.filter((p) => p !== provider);
+    await user.save();
+
+    // Sessions don't record how they signed in, so sign out every other
+    // device — anyone who got in through the removed method is logged out
+    const sessionsRevoked = await revokeAllSessions(user._id, req.user.sid);
+
+    res.json({ message: 'Sign-in method removed', providers: user.authProviders, sessionsRevoked });
+  } catch (error) {
+    console.error('Unlink provider error:', error);
+    res.status(500).json({ error: 'Failed to remove sign-in method' });
+  }
+});
+
+// ==========================================
+// ACTIVE SESSIONS - Devices currently signed in to this account
+// ==========================================
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId, req.user.sid);
+    res.json({ sessions, count: sessions.length });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// ==========================================
+// REVOKE SESSION - Sign out one specific device
+// ==========================================
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const revoked = await revokeSession(req.params.id, req.user.userId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      message: 'Device signed out',
+      wasCurrent: req.params.id === req.user.sid,
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 // ==========================================
 // GET PROFILE - Get current user info
 // ==========================================
@@ -442,6 +855,17 @@ router.get('/me', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    // Lets the app show a "viewing as …" banner during support sessions
+    if (req.user.impersonatedBy) {
+      return res.json({
+        user,
+        impersonation: {
+          impersonatedBy: req.user.impersonatedBy,
+          readOnly: req.user.impersonationWrites !== true,
+        },
+      });
+    }
+
     res.json({ user });
 
   } catch (error) {
@@ -450,6 +874,91 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// ==========================================
+// EXPORT MY DATA - Everything we hold about the current user, as one JSON file
+// ==========================================
+router.get('/me/export', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).lean();
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Never export credentials or one-time tokens
+    delete user.password;
+    delete user.resetPasswordToken;
+    delete user.resetPasswordExpires;
+
+    const [requests, notifications] = await Promise.all([
+      Request.find({ $or: [{ clientId: user._id }, { assignedWorkerId: user._id }] })
+        .sort({ createdAt: -1 })
+        .lean(),
+      Notification.find({ userId: user._id }).sort({ createdAt: -1 }).lean(),
+    ]);
+
+    // The whole conversation on each of their requests, plus anything they
+    // sent on requests they're no longer part of
+    const messages = await Message.find({
+      $or: [{ requestId: { $in: requests.map((r) => r._id) } }, { senderId: user._id }],
+    }).sort({ createdAt: 1 }).lean();
+
+    const bundle = {
+      exportedAt: new Date().toISOString(),
+      profile: user,
+      requests,
+      messages,
+      notifications,
+    };
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="nestoric-export-${date}.json"`);
+    res.json(bundle);
+
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+// ==========================================
+// DELETE MY ACCOUNT - Requires password re-entry
+// (Google-only accounts confirm by typing their email instead)
+// ==========================================
+router.delete('/me', authenticateToken, async (req, res) => {
+  try {
+    const { password, confirmEmail } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.password) {
+      const isPasswordValid = password && await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+    } else if (typeof confirmEmail !== 'string' || confirmEmail.toLowerCase().trim() !== user.email) {
+      return res.status(400).json({ error: 'Please type your email address to confirm' });
+    }
+
+    if (user.role === 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({ error: 'You are the only admin. Promote another admin before deleting your account.' });
+      }
+    }
+
+    await deleteUserAccount(user._id);
+
+    res.json({ message: 'Your account has been deleted.' });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
 // ==========================================
 // UPDATE PROFILE - Update user information
 // ==========================================
@@ -461,7 +970,15 @@ router.put('/profile', authenticateToken, async (req, res) => {
     const updateData = {};
     if (fullName) updateData.fullName = fullName;
     if (avatarUrl) updateData.avatarUrl = avatarUrl;
-    if (phone !== undefined) updateData.phone = phone;
+    if (phone !== undefined) {
+      updateData.phone = phone;
+      // A different number has to be verified again
+      const current = await User.findById(req.user.userId).select('phone');
+      if (current && current.phone !== phone) {
+        updateData.isPhoneVerified = false;
+        updateData.phoneVerifiedAt = null;
+      }
+    }
 
     // Update user
     const user = await User.findByIdAndUpdate(
@@ -479,6 +996,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
         role: user.role,
         avatarUrl: user.avatarUrl,
         phone: user.phone || null,
+        isPhoneVerified: user.isPhoneVerified || false,
         workerProfile: user.workerProfile,
       }
     });
@@ -489,6 +1007,165 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// ==========================================
+// PHONE VERIFICATION - Text a 6-digit code to the number
+// Body: { phone }  — with country code, or a 10-digit Indian number
+// ==========================================
+router.post('/phone/send-otp', phoneOtpLimiter, authenticateToken, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ error: 'Enter a valid mobile number, e.g. +919876543210' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.isPhoneVerified && user.phone === phone) {
+      return res.status(400).json({ error: 'This number is already verified' });
+    }
+
+    const now = Date.now();
+    let otp = await PhoneOtp.findOne({ userId: user._id }).select('+codeHash');
+    // What to put back if the text message never goes out
+    const previous = otp && otp.toObject();
+
+    // The hour is up — start counting sends again
+    if (otp && otp.windowStartedAt.getTime() + PhoneOtp.SEND_WINDOW_MS <= now) {
+      otp.set({ sendCount: 0, windowStartedAt: new Date(now) });
+    }
+
+    if (otp) {
+      const cooldownLeft = Math.ceil((otp.lastSentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000 - now) / 1000);
+      if (cooldownLeft > 0) {
+        return res.status(429).json({
+          error: `Please wait ${cooldownLeft} seconds before requesting another code`,
+          retryAfterSeconds: cooldownLeft,
+        });
+      }
+      if (otp.sendCount >= MAX_SENDS_PER_HOUR) {
+        const retryAfterSeconds = Math.ceil((otp.windowStartedAt.getTime() + PhoneOtp.SEND_WINDOW_MS - now) / 1000);
+        return res.status(429).json({
+          error: 'Too many codes requested. Please try again later.',
+          retryAfterSeconds,
+        });
+      }
+    }
+
+    const code = generateOtp();
+    const fields = {
+      phone,
+      codeHash: hashOtp(user._id, phone, code),
+      codeExpiresAt: new Date(now + OTP_TTL_MINUTES * 60 * 1000),
+      attempts: 0,
+      lastSentAt: new Date(now),
+    };
+
+    if (otp) {
+      otp.set(fields);
+      otp.sendCount += 1;
+    } else {
+      otp = new PhoneOtp({ userId: user._id, ...fields });
+    }
+    await otp.save();
+
+    try {
+      await sendSms(phone, `${code} is your Nestoric verification code. It expires in ${OTP_TTL_MINUTES} minutes. Don't share it with anyone.`);
+    } catch (smsError) {
+      console.error('OTP SMS error:', smsError.message);
+      // A failed send must not use up the cooldown or the hourly allowance.
+      // Matching on codeHash leaves a newer concurrent send alone.
+      const rollback = previous
+        ? PhoneOtp.updateOne(
+          { _id: otp._id, codeHash: fields.codeHash },
+          { $set: {
+            phone: previous.phone,
+            codeHash: previous.codeHash,
+            codeExpiresAt: previous.codeExpiresAt,
+            attempts: previous.attempts,
+            lastSentAt: previous.lastSentAt,
+            sendCount: previous.sendCount,
+            windowStartedAt: previous.windowStartedAt,
+            expiresAt: previous.expiresAt,
+          } }
+        )
+        : PhoneOtp.deleteOne({ _id: otp._id, codeHash: fields.codeHash });
+      await rollback.catch((err) => console.error('OTP rollback failed:', err.message));
+      return res.status(502).json({ error: 'Could not send the text message. Please try again shortly.' });
+    }
+
+    res.json({
+      message: `Code sent to ${maskPhone(phone)}`,
+      expiresInMinutes: OTP_TTL_MINUTES,
+      resendAfterSeconds: RESEND_COOLDOWN_SECONDS,
+    });
+
+  } catch (error) {
+    console.error('Send OTP error:', error);
+    res.status(500).json({ error: 'Failed to send verification code' });
+  }
+});
+
+// ==========================================
+// PHONE VERIFICATION - Check the code and mark the number verified
+// Body: { code }
+// ==========================================
+router.post('/phone/verify-otp', phoneOtpLimiter, authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    // Use up one attempt before checking, so parallel guesses can't exceed the limit
+    const otp = await PhoneOtp.findOneAndUpdate(
+      {
+        userId: req.user.userId,
+        codeExpiresAt: { $gt: new Date() },
+        attempts: { $lt: MAX_VERIFY_ATTEMPTS },
+      },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).select('+codeHash');
+
+    if (!otp) {
+      return res.status(400).json({ error: 'This code has expired or too many wrong codes were entered. Request a new one.' });
+    }
+
+    if (!otpMatches(otp.codeHash, req.user.userId, otp.phone, code)) {
+      return res.status(400).json({
+        error: 'Incorrect code',
+        attemptsRemaining: MAX_VERIFY_ATTEMPTS - otp.attempts,
+      });
+    }
+
+    const update = {
+      phone: otp.phone,
+      isPhoneVerified: true,
+      phoneVerifiedAt: new Date(),
+    };
+    if (req.user.role === 'worker') update['workerProfile.phone'] = otp.phone;
+
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: update }, { new: true });
+    await PhoneOtp.deleteOne({ _id: otp._id });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      message: 'Phone number verified',
+      phone: user.phone,
+      isPhoneVerified: true,
+    });
+
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+});
+
 // ==========================================
 // CHANGE PASSWORD
 // ==========================================
@@ -502,21 +1179,20 @@ router.put('/change-password', authenticateToken, async (req, res) => {
       });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({
-        error: 'New password must be at least 6 characters'
-      });
-    }
-
     // Get user with password
     const user = await User.findById(req.user.userId);
 
     // Verify current password
-    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+    const isPasswordValid = !!user.password && await bcrypt.compare(currentPassword, user.password);
     if (!isPasswordValid) {
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
+    const passwordCheck = validatePassword(newPassword, { email: user.email, fullName: user.fullName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(passwordErrorResponse(passwordCheck.errors));
+    }
+
     // Hash new password
     const hashedPassword = await bcrypt.hash(newPassword, 10);
 
@@ -524,6 +1200,9 @@ router.put('/change-password', authenticateToken, async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
+    // Sign out every other device — this one keeps its session
+    await revokeAllSessions(user._id, req.user.sid);
+
     res.json({ message: 'Password changed successfully' });
 
   } catch (error) {
@@ -532,6 +1211,258 @@ router.put('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
+// How recent a Google sign-in must be to stand in for the password
+const GOOGLE_REAUTH_MAX_AGE_SECONDS = 5 * 60;
+
+// ==========================================
+// CHANGE EMAIL - Step 1: request the change
+// Confirmation link goes to the NEW address, a cancel link to the OLD one.
+// User.email only changes once the new address is confirmed.
+// Body: { newEmail, password } — or { newEmail, idToken } from a fresh Google
+// sign-in for accounts without a password
+// ==========================================
+router.post('/change-email', authenticateToken, async (req, res) => {
+  try {
+    const { newEmail, password, idToken } = req.body;
+
+    if (!newEmail || typeof newEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail.trim())) {
+      return res.status(400).json({ error: 'Please provide a valid new email address' });
+    }
+    const normalized = newEmail.toLowerCase().trim();
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Re-authenticate — a stolen unlocked phone shouldn't be able to move the account
+    if (user.password) {
+      const isPasswordValid = password && await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+    } else {
+      if (!idToken || typeof idToken !== 'string') {
+        return res.status(401).json({
+          error: 'REAUTH_REQUIRED',
+          message: 'Sign in with Google again to confirm it\'s you, then send the new idToken.',
+        });
+      }
+      let decodedToken;
+      try {
+        decodedToken = await admin.auth().verifyIdToken(idToken);
+      } catch {
+        return res.status(401).json({ error: 'Invalid or expired Google token' });
+      }
+      const signedInAgo = Date.now() / 1000 - decodedToken.auth_time;
+      if (decodedToken.uid !== user.googleId || !(signedInAgo <= GOOGLE_REAUTH_MAX_AGE_SECONDS)) {
+        return res.status(401).json({
+          error: 'REAUTH_REQUIRED',
+          message: 'Sign in with Google again to confirm it\'s you, then send the new idToken.',
+        });
+      }
+    }
+
+    if (normalized === user.email) {
+      return res.status(400).json({ error: 'That is already your email address' });
+    }
+
+    const existingUser = await User.findOne({ email: normalized });
+    if (existingUser) {
+      return res.status(400).json({ error: 'Email already registered' });
+    }
+
+    const pendingSignup = await PendingRegistration.findOne({ email: normalized });
+    if (pendingSignup) {
+      return res.status(400).json({ error: 'That email has a sign-up awaiting verification. Try again later.' });
+    }
+
+    const confirmToken = crypto.randomBytes(32).toString('hex');
+    const cancelToken = crypto.randomBytes(32).toString('hex');
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          pendingEmail: normalized,
+          emailChangeToken: hashToken(confirmToken),
+          emailChangeCancelToken: hashToken(cancelToken),
+          emailChangeExpires: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        },
+      }
+    );
+
+    console.log(`[ChangeEmail] ${user.email} → ${normalized}: sending confirmation + notice`);
+    try {
+      await sendEmailChangeConfirmEmail(normalized, confirmToken);
+    } catch (mailErr) {
+      console.error('[ChangeEmail] Confirm email error:', JSON.stringify(mailErr, null, 2));
+      // Nobody can confirm it, so don't leave it showing as pending
+      await User.updateOne(
+        { _id: user._id, emailChangeToken: hashToken(confirmToken) },
+        { $set: { pendingEmail: null, emailChangeToken: null, emailChangeCancelToken: null, emailChangeExpires: null } }
+      );
+      return res.status(502).json({ error: 'Could not send the confirmation email. Please try again.' });
+    }
+    try {
+      await sendEmailChangeNoticeEmail(user.email, normalized, cancelToken);
+    } catch (mailErr) {
+      console.error('[ChangeEmail] Notice email error:', JSON.stringify(mailErr, null, 2));
+    }
+
+    res.json({
+      message: `We sent a confirmation link to ${normalized}. Your email will change once you open it.`,
+      pendingEmail: normalized,
+    });
+
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({ error: 'Failed to start email change' });
+  }
+});
+
+// ==========================================
+// CHANGE EMAIL - Withdraw a pending change from inside the app
+// ==========================================
+router.delete('/change-email', authenticateToken, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $set: { pendingEmail: null, emailChangeToken: null, emailChangeCancelToken: null, emailChangeExpires: null } }
+    );
+    res.json({ message: 'Email change cancelled' });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({ error: 'Failed to cancel email change' });
+  }
+});
+
+// ==========================================
+// CHANGE EMAIL - Step 2: new address clicks the confirmation link
+// ==========================================
+router.get('/change-email/confirm/:token', async (req, res) => {
+  const page = (icon, color, title, text) => `
+    <html><body style="font-family:-apple-system,sans-serif;text-align:center;padding:60px;background:#f5f5f5">
+      <div style="max-width:480px;margin:0 auto;background:#fff;border-radius:16px;padding:48px;box-shadow:0 4px 24px rgba(0,0,0,0.08)">
+        <div style="font-size:56px;margin-bottom:16px">${icon}</div>
+        <h2 style="color:${color};margin:0 0 12px">${title}</h2>
+        <p style="color:#555;line-height:1.6">${text}</p>
+      </div>
+    </body></html>
+  `;
+
+  try {
+    const user = await User.findOne({
+      emailChangeToken: hashToken(req.params.token),
+      emailChangeExpires: { $gt: new Date() },
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.status(400).send(page('⏰', '#e53e3e', 'Link Expired',
+        'This confirmation link has expired, was cancelled, or was already used.<br/>Request the change again from the Nestoric app.'));
+    }
+
+    const newEmail = user.pendingEmail;
+
+    // Someone may have registered the address while this link sat in the inbox
+    const taken = await User.findOne({ email: newEmail, _id: { $ne: user._id } });
+    if (taken) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { pendingEmail: null, emailChangeToken: null, emailChangeCancelToken: null, emailChangeExpires: null } }
+      );
+      return res.status(409).send(page('&#10060;', '#e53e3e', 'Email Already in Use',
+        `${escapeHtml(newEmail)} now belongs to another Nestoric account, so the change was cancelled.`));
+    }
+
+    // The inbox owner just proved they want this address on the existing
+    // account — drop any half-finished sign-up for it so it can't create a duplicate
+    await PendingRegistration.deleteOne({ email: newEmail });
+
+    const oldEmail = user.email;
+    let swapped;
+    try {
+      // Only if the change is still the one this link confirms — a cancel
+      // (or a newer change) since the lookup above wins
+      swapped = await User.updateOne(
+        {
+          _id: user._id,
+          emailChangeToken: hashToken(req.params.token),
+          pendingEmail: newEmail,
+          emailChangeExpires: { $gt: new Date() },
+        },
+        {
+          $set: {
+            email: newEmail,
+            isEmailVerified: true,
+            pendingEmail: null,
+            emailChangeToken: null,
+            emailChangeCancelToken: null,
+            emailChangeExpires: null,
+          },
+        }
+      );
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).send(page('&#10060;', '#e53e3e', 'Email Already in Use',
+          `${escapeHtml(newEmail)} now belongs to another Nestoric account.`));
+      }
+      throw err;
+    }
+    if (swapped.matchedCount === 0) {
+      return res.status(400).send(page('⏰', '#e53e3e', 'Link Expired',
+        'This confirmation link has expired, was cancelled, or was already used.<br/>Request the change again from the Nestoric app.'));
+    }
+
+    console.log(`[ChangeEmail] Confirmed: ${oldEmail} → ${newEmail}`);
+
+    res.send(page('&#9989;', '#38a169', 'Email changed!',
+      `Your Nestoric account now uses <strong>${escapeHtml(newEmail)}</strong>.<br/>Use it the next time you sign in.`));
+
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).send('<h2>Something went wrong. Please try again.</h2>');
+  }
+});
+
+// ==========================================
+// CHANGE EMAIL - Old address clicks "Cancel this change"
+// ==========================================
+router.get('/change-email/cancel/:token', async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { emailChangeCancelToken: hashToken(req.params.token), pendingEmail: { $ne: null } },
+      { $set: { pendingEmail: null, emailChangeToken: null, emailChangeCancelToken: null, emailChangeExpires: null } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).send(`
+        <html><body style="font-family:-apple-system,sans-serif;text-align:center;padding:60px;background:#f5f5f5">
+          <div style="max-width:480px;margin:0 auto;background:#fff;border-radius:16px;padding:48px;box-shadow:0 4px 24px rgba(0,0,0,0.08)">
+            <div style="font-size:56px;margin-bottom:16px">ℹ️</div>
+            <h2 style="color:#555;margin:0 0 12px">Nothing to cancel</h2>
+            <p style="color:#555;line-height:1.6">This change was already confirmed or cancelled.<br/>If your email was changed without your permission, contact Nestoric support.</p>
+          </div>
+        </body></html>
+      `);
+    }
+
+    res.send(`
+      <html><body style="font-family:-apple-system,sans-serif;text-align:center;padding:60px;background:#f5f5f5">
+        <div style="max-width:480px;margin:0 auto;background:#fff;border-radius:16px;padding:48px;box-shadow:0 4px 24px rgba(0,0,0,0.08)">
+          <div style="font-size:56px;margin-bottom:16px">&#9989;</div>
+          <h2 style="color:#38a169;margin:0 0 12px">Change cancelled</h2>
+          <p style="color:#555;line-height:1.6">Your email address was not changed.<br/>If you didn't request this, change your password in the Nestoric app.</p>
+        </div>
+      </body></html>
+    `);
+
+  } catch (error) {
+    console.error('Cancel email change (link) error:', error);
+    res.status(500).send('<h2>Something went wrong. Please try again.</h2>');
+  }
+});
+
 // ==========================================
 // FORGOT PASSWORD - Generate token and send email
 // ==========================================
@@ -612,6 +1543,7 @@ router.get('/reset-password-form', async (req, res) => {
   }
 
   const baseUrl = process.env.BACKEND_URL || 'https://nestoric-backend.onrender.com';
+  const { minLength } = describePolicy(); // the server re-checks every other rule
 
   res.send(`
     <!DOCTYPE html>
@@ -652,7 +1584,7 @@ router.get('/reset-password-form', async (req, res) => {
           <div id="form-section">
             <p>Enter your new password below.</p>
             <label for="newPassword">New Password</label>
-            <input type="password" id="newPassword" placeholder="At least 6 characters" minlength="6"/>
+            <input type="password" id="newPassword" placeholder="At least ${minLength} characters" minlength="${minLength}"/>
             <div class="gap"></div>
             <label for="confirmPassword">Confirm Password</label>
             <input type="password" id="confirmPassword" placeholder="Repeat your password"/>
@@ -675,8 +1607,8 @@ router.get('/reset-password-form', async (req, res) => {
 
           errorMsg.style.display = 'none';
 
-          if (newPassword.length < 6) {
-            errorMsg.textContent = 'Password must be at least 6 characters.';
+          if (newPassword.length < ${minLength}) {
+            errorMsg.textContent = 'Password must be at least ${minLength} characters.';
             errorMsg.style.display = 'block';
             return;
           }
@@ -723,10 +1655,6 @@ router.post('/reset-password', async (req, res) => {
       return res.status(400).json({ error: 'Token and new password are required' });
     }
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
-    }
-
     // Find user with valid token
     const user = await User.findOne({
       resetPasswordToken: token,
@@ -737,6 +1665,11 @@ router.post('/reset-password', async (req, res) => {
       return res.status(400).json({ error: 'Password reset token is invalid or has expired.' });
     }
 
+    const passwordCheck = validatePassword(newPassword, { email: user.email, fullName: user.fullName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(passwordErrorResponse(passwordCheck.errors));
+    }
+
     // Hash new password
     const hashedPassword = await bcrypt.hash(newPassword, 10);
 
@@ -744,8 +1677,14 @@ router.post('/reset-password', async (req, res) => {
     user.password = hashedPassword;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
+    // Proving control of the inbox lifts any lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
     await user.save();
 
+    // Whoever had the old password may still be signed in — log out every device
+    await revokeAllSessions(user._id);
+
     res.json({ message: 'Password has been successfully reset. You can now log in.' });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -753,6 +1692,223 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// ==========================================
+// MAGIC LINK - Request a one-time sign-in link by email
+// Returns a pollToken the app uses with /magic-link/status, exactly like
+// /check-verification after signup.
+// ==========================================
+router.post('/magic-link', magicLinkLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Always hand back a poll token so the response doesn't reveal whether
+    // the email is registered — for unknown emails it simply never approves.
+    const pollToken = crypto.randomBytes(32).toString('hex');
+    const response = {
+      message: 'If that email is registered, a sign-in link was sent.',
+      pollToken,
+      expiresIn: 15 * 60, // seconds
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res.json(response);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const { deviceName, platform } = req.body;
+    const device = [deviceName, platform].filter((v) => typeof v === 'string' && v.trim()).join(' · ') ||
+      req.headers['user-agent'] || null;
+    await MagicLink.create({
+      userId: user._id,
+      tokenHash: hashToken(token),
+      pollTokenHash: hashToken(pollToken),
+      requestedIp: req.ip || null,
+      requestedDevice: device ? device.slice(0, 200) : null,
+    });
+
+    console.log(`[MagicLink] Sending sign-in link to: ${user.email}`);
+    try {
+      await sendMagicLinkEmail(user.email, token);
+      console.log(`[MagicLink] Sign-in link sent successfully to: ${user.email}`);
+    } catch (mailErr) {
+      console.error('[MagicLink] BREVO ERROR:', JSON.stringify(mailErr, null, 2));
+      // Still return success — the user can request another link
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Magic link error:', error);
+    res.status(500).json({ error: 'Failed to send sign-in link.' });
+  }
+});
+
+// ==========================================
+// MAGIC LINK STATUS (polling)
+// GET /api/auth/magic-link/status?pollToken=...
+// Called by the Flutter app every few seconds. Returns tokens exactly once,
+// after the emailed link has been opened.
+// ==========================================
+router.get('/magic-link/status', async (req, res) => {
+  try {
+    const { pollToken } = req.query;
+    if (!pollToken || typeof pollToken !== 'string') {
+      return res.status(400).json({ approved: false });
+    }
+
+    const link = await MagicLink.findOne({ pollTokenHash: hashToken(pollToken) });
+
+    // Unknown poll tokens (including those for unregistered emails) just wait
+    // until the app gives up — same answer as a link that hasn't been clicked.
+    if (!link) {
+      return res.json({ approved: false });
+    }
+    if (link.expiresAt < new Date() || link.consumedAt) {
+      return res.status(410).json({ approved: false, expired: true });
+    }
+    if (!link.approvedAt) {
+      return res.json({ approved: false });
+    }
+
+    // Claim the link atomically so two polls can't both receive tokens
+    const claimed = await MagicLink.findOneAndUpdate(
+      { _id: link._id, consumedAt: null },
+      { $set: { consumedAt: new Date() } }
+    );
+    if (!claimed) {
+      return res.status(410).json({ approved: false, expired: true });
+    }
+
+    const user = await User.findById(link.userId);
+    if (!user) {
+      return res.status(410).json({ approved: false, expired: true });
+    }
+
+    // A link doesn't get around the failed-password lockout
+    if (isLocked(user)) {
+      await logLoginEvent(req, { user, method: 'magic_link', success: false, reason: 'locked' });
+      return res.status(410).json({ approved: false, expired: true });
+    }
+
+    // Accounts protected by 2FA still need their second factor
+    const mfaChallenge = await mfaGate(user);
+    if (mfaChallenge) {
+      return res.json({ approved: true, ...mfaChallenge });
+    }
+
+    await recordSuccessfulLogin(user, req, 'magic_link');
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+    res.json({
+      approved: true,
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user._id,
+        email: user.email,
+        fullName: user.fullName,
+        role: user.role,
+        avatarUrl: user.avatarUrl,
+        phone: user.phone || null,
+        isPhoneVerified: user.isPhoneVerified || false,
+        workerProfile: user.workerProfile,
+      },
+    });
+  } catch (error) {
+    console.error('Magic link status error:', error);
+    res.status(500).json({ approved: false });
+  }
+});
+
+// ==========================================
+// MAGIC LINK - User opens the link in the email
+// Only shows who asked for it. Approving takes the POST below, so an email
+// scanner prefetching the link (or a victim clicking a link an attacker
+// requested) doesn't sign anyone in.
+// ==========================================
+const magicLinkPage = (icon, color, title, text, extra = '') => `
+  <html><body style="font-family:-apple-system,sans-serif;text-align:center;padding:60px;background:#f5f5f5">
+    <div style="max-width:480px;margin:0 auto;background:#fff;border-radius:16px;padding:48px;box-shadow:0 4px 24px rgba(0,0,0,0.08)">
+      <div style="font-size:56px;margin-bottom:16px">${icon}</div>
+      <h2 style="color:${color};margin:0 0 12px">${title}</h2>
+      <p style="color:#555;line-height:1.6">${text}</p>
+      ${extra}
+    </div>
+  </body></html>
+`;
+
+const magicLinkExpiredPage = () => magicLinkPage('⏰', '#e53e3e', 'Link Expired',
+  'This sign-in link has already been used or has expired.<br/>Request a new one from the Nestoric app.');
+
+const openMagicLink = (token) => ({
+  tokenHash: hashToken(token),
+  approvedAt: null,
+  consumedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+router.get('/magic-link/:token', async (req, res) => {
+  try {
+    const link = await MagicLink.findOne(openMagicLink(req.params.token));
+    if (!link) {
+      return res.status(400).send(magicLinkExpiredPage());
+    }
+
+    const requestedAt = link.createdAt.toUTCString();
+    res.set('Cache-Control', 'no-store');
+    res.send(magicLinkPage('&#128274;', '#333', 'Sign in to Nestoric?',
+      `Someone asked to sign in to your account on <strong>${escapeHtml(link.requestedDevice || 'an unknown device')}</strong>` +
+      ` (IP ${escapeHtml(link.requestedIp || 'unknown')}) at ${requestedAt}.<br/>` +
+      'Only continue if that was you — the device that asked is the one that gets signed in.',
+      `<form method="POST" action="${escapeHtml(req.originalUrl)}" style="margin-top:24px">
+        <button type="submit" style="background:#6C63FF;color:#fff;border:0;border-radius:10px;padding:14px 32px;font-weight:700;font-size:15px;cursor:pointer">Yes, sign me in</button>
+      </form>
+      <p style="color:#999;font-size:13px;margin-top:24px">If this wasn't you, close this page and don't share the link.</p>`));
+  } catch (error) {
+    console.error('Magic link open error:', error);
+    res.status(500).send('<h2>Something went wrong. Please try again.</h2>');
+  }
+});
+
+// ==========================================
+// MAGIC LINK - User confirms on that page
+// ==========================================
+router.post('/magic-link/:token', async (req, res) => {
+  try {
+    const pending = await MagicLink.findOne(openMagicLink(req.params.token));
+    if (!pending) {
+      return res.status(400).send(magicLinkExpiredPage());
+    }
+
+    const user = await User.findById(pending.userId);
+    if (!user) {
+      return res.status(400).send(magicLinkExpiredPage());
+    }
+    // Same page as a dead link — the lock email is what tells the owner
+    if (isLocked(user)) {
+      return res.status(400).send(magicLinkExpiredPage());
+    }
+
+    const link = await MagicLink.findOneAndUpdate(
+      { _id: pending._id, approvedAt: null, consumedAt: null },
+      { $set: { approvedAt: new Date() } }
+    );
+    if (!link) {
+      return res.status(400).send(magicLinkExpiredPage());
+    }
+
+    res.send(magicLinkPage('&#9989;', '#38a169', "You're signed in!",
+      'Go back to the Nestoric app — it will log you in automatically.'));
+  } catch (error) {
+    console.error('Magic link click error:', error);
+    res.status(500).send('<h2>Something went wrong. Please try again.</h2>');
+  }
+});
+
 // Export router
 module.exports = router;
 
@@ -764,11 +1920,58 @@ module.exports = router;
 //    POST http://localhost:3000/api/auth/signup
 //    Body: { "email": "...", "password": "...", "fullName": "..." }
 //    Response: { "user": {...}, "token": "..." }
+//    Weak passwords → 400 { "error": "...", "code": "PASSWORD_POLICY",
+//      "errors": [{ "code": "PASSWORD_TOO_SHORT", "message": "..." }, ...] }
+//    GET /api/auth/password-policy returns the active rules for the UI.
 //
 // 2. LOGIN:
 //    POST http://localhost:3000/api/auth/login
 //    Body: { "email": "...", "password": "..." }
-//    Response: { "user": {...}, "token": "..." }
+//    Response: { "user": {...}, "token": "...", "refreshToken": "...", "expiresIn": "15m" }
+//
+// 2b. REFRESH (when an API call returns 401 "Invalid token"):
+//    POST http://localhost:3000/api/auth/refresh
+//    Body: { "refreshToken": "..." }
+//    Response: { "token": "...", "refreshToken": "...", "expiresIn": "15m" }
+//    Always store the NEW refreshToken — the old one is now dead.
+//
+// 2c. TWO-FACTOR SIGN-IN:
+//    If login/google answer 403 { "error": "MFA_REQUIRED", "mfaToken": "..." }:
+//    POST http://localhost:3000/api/auth/mfa/verify
+//    Body: { "mfaToken": "...", "code": "123456" }   (or "recoveryCode": "abcde-12345")
+//    Response: same as login
+//    If they answer 403 { "error": "MFA_ENROLLMENT_REQUIRED", "mfaToken": "..." }:
+//    call /api/auth/mfa/setup then /api/auth/mfa/enable with
+//    Headers: { "Authorization": "Bearer MFA_TOKEN" } — enable returns the login response.
+//
+// 2d. LOGOUT / LOGOUT EVERYWHERE:
+//    POST http://localhost:3000/api/auth/logout       (this device)
+//    POST http://localhost:3000/api/auth/logout-all   (all devices)
+//    Headers: { "Authorization": "Bearer YOUR_TOKEN" }
+//
+// 2e. SIGN-IN METHODS:
+//    If /google answers 409 { "error": "GOOGLE_NOT_LINKED" }, sign in with the
+//    password, then link Google:
+//    POST   http://localhost:3000/api/auth/providers   Body: { "provider": "google", "idToken": "..." }
+//    POST   http://localhost:3000/api/auth/providers   Body: { "provider": "local", "password": "..." }
+//    GET    http://localhost:3000/api/auth/providers
+//    DELETE http://localhost:3000/api/auth/providers/google   (never the last one;
+//      signs out every other device)
+//
+// 2f. ACTIVE DEVICES:
+//    Send { "deviceName": "Pixel 7", "platform": "android" } along with login /
+//    google (body) or check-verification (query) so devices are recognisable.
+//    GET    http://localhost:3000/api/auth/sessions        → { "sessions": [{ id, deviceName, platform, ip, lastSeenAt, isCurrent }] }
+//    DELETE http://localhost:3000/api/auth/sessions/:id    → signs that device out
+//
+// 2g. MAGIC LINK (passwordless):
+//    POST http://localhost:3000/api/auth/magic-link   Body: { "email": "..." }
+//    Response: { "pollToken": "...", "expiresIn": 900 }
+//    Then poll GET http://localhost:3000/api/auth/magic-link/status?pollToken=...
+//    every few seconds → { "approved": false } until the sign-in is confirmed
+//    on the page the email link opens, then the login response (or an MFA
+//    challenge). 410 = expired, ask again. Send deviceName/platform with the
+//    POST so that page can show which device asked.
 //
 // 3. GET PROFILE:
 //    GET http://localhost:3000/api/auth/me
@@ -780,4 +1983,34 @@ module.exports = router;
 //    Headers: { "Authorization": "Bearer YOUR_TOKEN" }
 //    Body: { "fullName": "...", "avatarUrl": "..." }
 //
+// 4b. EXPORT / DELETE ACCOUNT:
+//    GET    http://localhost:3000/api/auth/me/export   → JSON file (profile, requests, messages, notifications)
+//    DELETE http://localhost:3000/api/auth/me          Body: { "password": "..." }
+//           (Google-only accounts send { "confirmEmail": "..." } instead)
+//
+// 5. CHANGE EMAIL:
+//    POST http://localhost:3000/api/auth/change-email
+//    Headers: { "Authorization": "Bearer YOUR_TOKEN" }
+//    Body: { "newEmail": "...", "password": "..." }
+//    The change completes when the link sent to the new address is opened;
+//    until then GET /me shows it as "pendingEmail". DELETE /change-email withdraws it.
+//    Accounts without a password send { "newEmail", "idToken" } from a Google
+//    sign-in made in the last 5 minutes instead (401 REAUTH_REQUIRED otherwise).
+//
+// 5b. VERIFY PHONE:
+//    POST http://localhost:3000/api/auth/phone/send-otp    Body: { "phone": "+919876543210" }
+//    POST http://localhost:3000/api/auth/phone/verify-otp  Body: { "code": "123456" }
+//    Codes last 10 minutes, allow 5 tries, and can be re-sent after 60s (max 5 per hour).
+//    Only pre-fill Razorpay with the phone when user.isPhoneVerified is true.
+//
+// 6. SUPPORT IMPERSONATION (admin app):
+//    POST http://localhost:3000/api/auth/impersonate/USER_ID
+//    Headers: { "Authorization": "Bearer ADMIN_TOKEN" }
+//    Body: { "reason": "Ticket #123 — empty request screen" }
+//    Response: { "token": "...", "expiresAt": "...", "readOnly": true, "user": {...} }
+//    Use the token like a normal one. Writes answer 403 { "error": "IMPERSONATION_READ_ONLY" };
+//    other /api/auth routes (sessions, providers, MFA, API keys, /me/export) answer
+//    403 { "error": "IMPERSONATION_FORBIDDEN" } even for reads.
+//    GET /me includes "impersonation" so the app can show a banner. POST /logout ends it.
+//
 // ==========================================
\ No newline at end of file
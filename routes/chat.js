@@ -2,25 +2,29 @@
 // Real-time messaging between clients and workers
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const Message = require('../models/Message');
 const Request = require('../models/Request');
 const User = require('../models/User');
 
 const router = express.Router();
 const { notify } = require('../utils/fcm');
+const { verifyAccessToken } = require('../utils/tokens');
+const { verifyApiKey } = require('../utils/apiKeys');
 
 // ==========================================
 // MIDDLEWARE - Verify Token
 // ==========================================
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+  const apiKey = req.headers['x-api-key'];
+  if (!token && !apiKey) return res.status(401).json({ error: 'No token provided' });
 
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    // Integrations send a personal API key instead of a user JWT
+    req.user = apiKey ? await verifyApiKey(apiKey, req) : await verifyAccessToken(token, req);
     next();
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
     res.status(401).json({ error: 'Invalid token' });
   }
 };
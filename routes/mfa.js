@@ -0,0 +1,400 @@
+// routes/mfa.js - TWO-FACTOR AUTHENTICATION ROUTES
+// TOTP enrollment, sign-in challenge, recovery codes, admin enforcement policy
+// Mounted at /api/auth/mfa
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
+const User = require('../models/User');
+const SecuritySettings = require('../models/SecuritySettings');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const {
+  verifyMfaToken,
+  isMfaRequiredForRole,
+  generateRecoveryCodes,
+  checkSecondFactor,
+} = require('../utils/mfa');
+const { issueTokens, verifyAccessToken, revokeAllSessions } = require('../utils/tokens');
+const {
+  isLocked,
+  logLoginEvent,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} = require('../utils/loginSecurity');
+
+const router = express.Router();
+
+const MFA_SECRET_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep';
+
+// ── Rate limiters ────────────────────────────────
+const mfaVerifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,                   // 10 code attempts per window
+  message: { error: 'Too many verification attempts. Please try again in 15 minutes.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// ── Auth middleware ──────────────────────────────
+const authenticateToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+  try {
+    req.user = await verifyAccessToken(token, req);
+    next();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
+    res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Setup/enable also accept the enrollment token /login hands out when the
+// user's role requires 2FA but they haven't set it up yet.
+const authenticateOrEnroll = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+  try {
+    req.user = await verifyAccessToken(token, req);
+    return next();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
+    // otherwise fall through — maybe it's an enrollment token
+  }
+  try {
+    const decoded = await verifyMfaToken(token, 'mfa_enroll');
+    req.user = { userId: decoded.userId, enrolling: true };
+    next();
+  } catch {
+    res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Admin check — always reads fresh role from DB to avoid stale JWT issues
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  } catch {
+    res.status(500).json({ error: 'Failed to verify admin role' });
+  }
+};
+
+// ════════════════════════════════════════════════
+// GET /api/auth/mfa/status
+// ════════════════════════════════════════════════
+router.get('/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role mfa.enabled mfa.enabledAt +mfa.recoveryCodes');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    res.json({
+      enabled: user.mfa.enabled,
+      enabledAt: user.mfa.enabledAt,
+      required: await isMfaRequiredForRole(user.role),
+      recoveryCodesRemaining: user.mfa.enabled ? user.mfa.recoveryCodes.length : 0,
+    });
+  } catch (error) {
+    console.error('MFA status error:', error);
+    res.status(500).json({ error: 'Failed to get 2FA status' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// POST /api/auth/mfa/setup
+// Generates a new secret. Show otpauthUrl as a QR code; the user then
+// confirms with a code via /enable. Nothing changes until that happens.
+// ════════════════════════════════════════════════
+router.post('/setup', authenticateOrEnroll, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(MFA_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.mfa.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUrl: otpauthUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({ error: 'Failed to start 2FA setup' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// POST /api/auth/mfa/enable
+// Confirms the pending secret with a code and turns 2FA on.
+// Returns recovery codes — this is the only time they are shown.
+// ════════════════════════════════════════════════
+router.post('/enable', mfaVerifyLimiter, authenticateOrEnroll, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: 'Verification code is required' });
+
+    const user = await User.findById(req.user.userId).select(MFA_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    if (user.mfa.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.mfa.pendingSecret) {
+      return res.status(400).json({ error: 'Start setup first' });
+    }
+
+    const step = verifyTotp(user.mfa.pendingSecret, code);
+    if (step === null) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.mfa.enabled = true;
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = null;
+    user.mfa.recoveryCodes = hashes;
+    user.mfa.lastUsedStep = step;
+    user.mfa.enabledAt = new Date();
+    await user.save();
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+    };
+
+    // Enrolling during sign-in — the user has now passed both factors
+    if (req.user.enrolling) {
+      await recordSuccessfulLogin(user, req, 'mfa');
+      const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+      Object.assign(response, {
+        user: {
+          id: user._id,
+          email: user.email,
+          fullName: user.fullName,
+          role: user.role,
+          avatarUrl: user.avatarUrl,
+          phone: user.phone || null,
+          isPhoneVerified: user.isPhoneVerified || false,
+          workerProfile: user.workerProfile,
+        },
+        token,
+        refreshToken,
+        expiresIn,
+      });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable 2FA' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// POST /api/auth/mfa/verify
+// Second sign-in step: exchange the MFA_REQUIRED challenge token plus a
+// code (or a recovery code) for the real access + refresh tokens.
+// ════════════════════════════════════════════════
+router.post('/verify', mfaVerifyLimiter, async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'mfaToken and a code or recovery code are required' });
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyMfaToken(mfaToken, 'mfa_challenge');
+    } catch {
+      return res.status(401).json({ error: 'Sign-in session expired. Please log in again.' });
+    }
+
+    const user = await User.findById(decoded.userId).select(MFA_SECRET_FIELDS);
+    if (!user || !user.mfa.enabled) {
+      return res.status(401).json({ error: 'Sign-in session expired. Please log in again.' });
+    }
+
+    // Same answer as a wrong code, like /login — the lock email tells the owner
+    if (isLocked(user)) {
+      await logLoginEvent(req, { user, method: 'mfa', success: false, reason: 'locked' });
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const method = checkSecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await recordFailedLogin(user, req, 'mfa', 'bad_mfa_code');
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    await user.save();
+    await recordSuccessfulLogin(user, req, 'mfa');
+
+    const { token, refreshToken, expiresIn } = await issueTokens(user, req);
+
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: user._id,
+        email: user.email,
+        fullName: user.fullName,
+        role: user.role,
+        avatarUrl: user.avatarUrl,
+        phone: user.phone || null,
+        isPhoneVerified: user.isPhoneVerified || false,
+        workerProfile: user.workerProfile,
+      },
+      token,
+      refreshToken,
+      expiresIn,
+      ...(method === 'recovery' && { recoveryCodesRemaining: user.mfa.recoveryCodes.length }),
+    });
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// POST /api/auth/mfa/recovery-codes
+// Replace all recovery codes (requires a current code)
+// ════════════════════════════════════════════════
+router.post('/recovery-codes', mfaVerifyLimiter, authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.userId).select(MFA_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.mfa.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (checkSecondFactor(user, { code }) !== 'totp') {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.mfa.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes: codes });
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// POST /api/auth/mfa/disable
+// Requires a current code (or recovery code) and the password if the
+// account has one. Not allowed while 2FA is enforced for the user's role.
+// ════════════════════════════════════════════════
+router.post('/disable', mfaVerifyLimiter, authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.userId).select(MFA_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.mfa.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isMfaRequiredForRole(user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role and cannot be disabled' });
+    }
+
+    if (user.password) {
+      const isPasswordValid = password && await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    user.mfa.enabled = false;
+    user.mfa.secret = null;
+    user.mfa.pendingSecret = null;
+    user.mfa.recoveryCodes = [];
+    user.mfa.lastUsedStep = null;
+    user.mfa.enabledAt = null;
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable 2FA' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// GET /api/auth/mfa/policy  — admin only
+// ════════════════════════════════════════════════
+router.get('/policy', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const settings = await SecuritySettings.getSettings();
+    res.json({ success: true, requiredRoles: settings.mfaRequiredRoles });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch 2FA policy' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// PUT /api/auth/mfa/policy  — admin only
+// Body: { "requiredRoles": ["admin", "worker"] }
+// Users in a newly enforced role without 2FA are signed out everywhere,
+// so their next login walks them through enrollment.
+// ════════════════════════════════════════════════
+router.put('/policy', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    const allowedRoles = ['admin', 'worker'];
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some((r) => !allowedRoles.includes(r))) {
+      return res.status(400).json({ error: 'requiredRoles must be a list containing only "admin" and/or "worker"' });
+    }
+
+    // Don't let an admin lock themselves out of the admin panel
+    if (requiredRoles.includes('admin')) {
+      const me = await User.findById(req.user.userId).select('mfa.enabled');
+      if (!me?.mfa?.enabled) {
+        return res.status(400).json({ error: 'Enable two-factor authentication on your own account before enforcing it for admins' });
+      }
+    }
+
+    const settings = await SecuritySettings.getSettings();
+    const newlyRequired = requiredRoles.filter((r) => !settings.mfaRequiredRoles.includes(r));
+
+    settings.mfaRequiredRoles = [...new Set(requiredRoles)];
+    settings.updatedBy = req.user.userId;
+    await settings.save();
+
+    let sessionsRevoked = 0;
+    if (newlyRequired.length > 0) {
+      const unenrolled = await User.find({
+        role: { $in: newlyRequired },
+        'mfa.enabled': { $ne: true },
+      }).select('_id').lean();
+
+      for (const u of unenrolled) {
+        sessionsRevoked += await revokeAllSessions(u._id);
+      }
+    }
+
+    res.json({ success: true, requiredRoles: settings.mfaRequiredRoles, sessionsRevoked });
+  } catch (error) {
+    console.error('MFA policy update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update 2FA policy' });
+  }
+});
+
+module.exports = router;
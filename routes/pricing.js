@@ -2,20 +2,25 @@
 // Admin-controlled service pricing endpoints
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const ServicePricing = require('../models/ServicePricing');
 const PlanTier = require('../models/PlanTier');
+const RefundPolicy = require('../models/RefundPolicy');
+const { verifyAccessToken } = require('../utils/tokens');
+const { verifyApiKey } = require('../utils/apiKeys');
 
 const router = express.Router();
 
 // ── Auth middleware ──────────────────────────────
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+  const apiKey = req.headers['x-api-key'];
+  if (!token && !apiKey) return res.status(401).json({ error: 'No token provided' });
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    // Integrations send a personal API key instead of a user JWT
+    req.user = apiKey ? await verifyApiKey(apiKey, req) : await verifyAccessToken(token, req);
     next();
-  } catch {
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
     res.status(401).json({ error: 'Invalid token' });
   }
 };
@@ -144,15 +149,23 @@ router.get('/plans', async (req, res) => {
 
 // ════════════════════════════════════════════════
 // PUT /api/pricing/plans/:tierId  — admin only
-// Updates multiplier and/or perks for one tier (basic|standard|premium)
+// Updates multiplier, perks, revisionLimit and/or slaDays for one tier (basic|standard|premium)
+// A new slaDays applies to requests created from now on.
 // ════════════════════════════════════════════════
 router.put('/plans/:tierId', authenticateToken, adminOnly, async (req, res) => {
   try {
-    const { multiplier, perks, label, emoji, color } = req.body;
+    const { multiplier, perks, label, emoji, color, revisionLimit, slaDays } = req.body;
 
     if (multiplier !== undefined && (isNaN(multiplier) || multiplier < 0.1)) {
       return res.status(400).json({ error: 'Multiplier must be at least 0.1' });
     }
+    if (revisionLimit !== undefined && revisionLimit !== null &&
+        (!Number.isInteger(revisionLimit) || revisionLimit < 0)) {
+      return res.status(400).json({ error: 'revisionLimit must be a whole number ≥ 0, or null for unlimited' });
+    }
+    if (slaDays !== undefined && (typeof slaDays !== 'number' || !(slaDays >= 0.25))) {
+      return res.status(400).json({ error: 'slaDays must be a number of at least 0.25' });
+    }
 
     const update = {};
     if (multiplier !== undefined) update.multiplier = multiplier;
@@ -160,6 +173,8 @@ router.put('/plans/:tierId', authenticateToken, adminOnly, async (req, res) => {
     if (label !== undefined) update.label = label;
     if (emoji !== undefined) update.emoji = emoji;
     if (color !== undefined) update.color = color;
+    if (revisionLimit !== undefined) update.revisionLimit = revisionLimit;
+    if (slaDays !== undefined) update.slaDays = slaDays;
 
     const updated = await PlanTier.findOneAndUpdate(
       { tierId: req.params.tierId },
@@ -175,4 +190,48 @@ router.put('/plans/:tierId', authenticateToken, adminOnly, async (req, res) => {
   }
 });
 
+// ════════════════════════════════════════════════
+// GET /api/pricing/refund-policy  — public, shown before a client cancels
+// ════════════════════════════════════════════════
+router.get('/refund-policy', async (req, res) => {
+  try {
+    const policy = await RefundPolicy.getPolicy();
+    res.json({ success: true, percentByStatus: policy.percentByStatus });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch refund policy' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// PUT /api/pricing/refund-policy  — admin only
+// Body: { percentByStatus: { pending: 100, in_progress: 50, ... } }
+// Only applies to cancellations from now on.
+// ════════════════════════════════════════════════
+router.put('/refund-policy', authenticateToken, adminOnly, async (req, res) => {
+  try {
+    const { percentByStatus } = req.body;
+    if (!percentByStatus || typeof percentByStatus !== 'object') {
+      return res.status(400).json({ error: 'percentByStatus is required' });
+    }
+
+    const policy = await RefundPolicy.getPolicy();
+    for (const [status, value] of Object.entries(percentByStatus)) {
+      if (!RefundPolicy.CANCELLABLE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status "${status}". Use: ${RefundPolicy.CANCELLABLE_STATUSES.join(', ')}` });
+      }
+      if (isNaN(value) || value < 0 || value > 100) {
+        return res.status(400).json({ error: `Refund for "${status}" must be between 0 and 100` });
+      }
+      policy.percentByStatus[status] = Number(value);
+    }
+
+    policy.updatedBy = req.user.userId;
+    await policy.save();
+
+    res.json({ success: true, percentByStatus: policy.percentByStatus });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to update refund policy' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
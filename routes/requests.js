@@ -2,16 +2,44 @@
 // Create, read, update requests + chat messages
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto'); // built-in Node.js — no install needed
 const Request = require('../models/Request');
 const Message = require('../models/Message');
 const User = require('../models/User');
-const ServicePricing = require('../models/ServicePricing');
 const PlanTier = require('../models/PlanTier');
+const Refund = require('../models/Refund');
+const Deliverable = require('../models/Deliverable');
+const RefundPolicy = require('../models/RefundPolicy');
+const Review = require('../models/Review');
+const AssignmentSettings = require('../models/AssignmentSettings');
+const ChangeOrder = require('../models/ChangeOrder');
 
 const router = express.Router();
 const { notify } = require('../utils/fcm');
+const { verifyAccessToken } = require('../utils/tokens');
+const { verifyApiKey } = require('../utils/apiKeys');
+const {
+  STATUS_LABELS,
+  actorRoleFor,
+  allowedTransitions,
+  changeStatus,
+} = require('../utils/requestStatus');
+const { computeRefund, cancelRequest } = require('../utils/refunds');
+const { recomputeWorkerRating } = require('../utils/reviews');
+const { listRequests } = require('../utils/requestQuery');
+const { computeSla } = require('../utils/sla');
+const { quotePrice } = require('../utils/pricing');
+const { createOrder, isPaymentCaptured } = require('../utils/razorpay');
+const { refreshWorkerCounters } = require('../utils/workerCounters');
+const {
+  rankWorkers,
+  offerToWorker,
+  settleAssignmentResponse,
+  notifyAssignedWorker,
+  autoAssignRequest,
+  releaseAssignment,
+  restoreAssignmentClaim,
+} = require('../utils/assignment');
 
 // ==========================================
 // RAZORPAY PAYMENT VERIFICATION HELPER
@@ -39,20 +67,140 @@ function verifyRazorpayPayment(orderId, paymentId, signature) {
 // ==========================================
 // MIDDLEWARE - Verify Token
 // ==========================================
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+  const apiKey = req.headers['x-api-key'];
+  if (!token && !apiKey) return res.status(401).json({ error: 'No token provided' });
 
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    // Integrations send a personal API key instead of a user JWT
+    req.user = apiKey ? await verifyApiKey(apiKey, req) : await verifyAccessToken(token, req);
     next();
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
     res.status(401).json({ error: 'Invalid token' });
   }
 };
 
+// Answer a rejected status change (see utils/requestStatus.js)
+function sendStatusError(res, err) {
+  const body = { success: false, error: err.message, code: err.code };
+  if (err.allowed) body.allowed = err.allowed;
+  return res.status(err.status).json(body);
+}
+
+// Tell the client and the assigned worker that the status changed — but not
+// whoever made the change. Never fails the request.
+async function notifyStatusChange(request, actorId, { skipWorker = false, previousWorkerId = null } = {}) {
+  try {
+    const status = request.status;
+    const statusLabel = STATUS_LABELS[status] || status;
+    const svcStr = (request.services || []).slice(0, 2).join(', ');
+
+    // A move back to pending unassigns the worker — they still need to hear about it
+    const unassigned = !request.assignedWorkerId && previousWorkerId;
+    const recipients = [
+      { id: request.clientId, body: `Your request for ${svcStr} is now ${statusLabel}.` },
+      {
+        id: skipWorker ? null : (request.assignedWorkerId || previousWorkerId),
+        body: unassigned
+          ? `Your task for ${svcStr} was moved back to the queue and is no longer assigned to you.`
+          : `Your task for ${svcStr} is now ${statusLabel}.`,
+      },
+    ].filter((r) => r.id && r.id.toString() !== actorId);
+
+    for (const r of recipients) {
+      const user = await User.findById(r.id).select('_id fcmToken').lean();
+      if (!user) continue;
+      await notify({
+        userId:   user._id,
+        title:    `Request ${statusLabel}`,
+        body:     r.body,
+        type:     status === 'completed' ? 'request_completed' : 'status_updated',
+        data:     { requestId: request._id.toString(), status },
+        fcmToken: user.fcmToken,
+      });
+    }
+  } catch (notifErr) {
+    console.warn('Status notification error (non-fatal):', notifErr.message);
+  }
+}
+
+// Push the same message to the client and the assigned worker, skipping
+// whoever caused it. Never fails the request.
+async function notifyParticipants(request, actorId, { title, body, type, data = {} }) {
+  try {
+    const ids = [request.clientId, request.assignedWorkerId]
+      .filter((id) => id && id.toString() !== actorId);
+
+    for (const id of ids) {
+      const user = await User.findById(id).select('_id fcmToken').lean();
+      if (!user) continue;
+      await notify({
+        userId:   user._id,
+        title,
+        body,
+        type,
+        data:     { requestId: request._id.toString(), ...data },
+        fcmToken: user.fcmToken,
+      });
+    }
+  } catch (notifErr) {
+    console.warn('Participant notification error (non-fatal):', notifErr.message);
+  }
+}
+
+// Milestones can be planned/edited while the job is still open
+const MILESTONE_OPEN_STATUSES = ['pending', 'assigned', 'in_progress', 'review', 'on_hold'];
+
+// Every milestone change needs an open request. Sends the 409 itself and
+// returns false when the request is closed.
+function milestonesOpen(request, res) {
+  if (MILESTONE_OPEN_STATUSES.includes(request.status)) return true;
+  res.status(409).json({ success: false, error: `Milestones of a ${request.status} request can't be changed` });
+  return false;
+}
+
+// Validate milestone fields from a request body. Only keys present are checked.
+function parseMilestoneFields(body) {
+  const fields = {};
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || !body.title.trim()) return { error: 'Milestone title is required' };
+    fields.title = body.title.trim().slice(0, 120);
+  }
+  if (body.description !== undefined) {
+    fields.description = body.description ? String(body.description).slice(0, 1000) : null;
+  }
+  if (body.dueDate !== undefined) {
+    if (body.dueDate === null) {
+      fields.dueDate = null;
+    } else {
+      const due = new Date(body.dueDate);
+      if (isNaN(due.getTime())) return { error: 'dueDate must be a valid date' };
+      fields.dueDate = due;
+    }
+  }
+  if (body.amountShare !== undefined) {
+    const share = Number(body.amountShare);
+    if (!Number.isFinite(share) || share < 0 || share > 100) {
+      return { error: 'amountShare must be a percentage between 0 and 100' };
+    }
+    fields.amountShare = share;
+  }
+
+  return { fields };
+}
+
+function totalShareExcept(request, milestoneId = null) {
+  return request.milestones
+    .filter((m) => !milestoneId || m._id.toString() !== milestoneId)
+    .reduce((sum, m) => sum + (m.amountShare || 0), 0);
+}
+
 // ==========================================
 // GET WORKER'S ASSIGNED TASKS
+// Query: filters, q, sort, limit, cursor — see utils/requestQuery.js
 // ==========================================
 router.get('/my-tasks', authenticateToken, async (req, res) => {
   try {
@@ -60,11 +208,14 @@ router.get('/my-tasks', authenticateToken, async (req, res) => {
       return res.status(403).json({ success: false, error: 'Worker access only' });
     }
 
-    const tasks = await Request.find({ assignedWorkerId: req.user.userId })
-      .sort({ createdAt: -1 });
+    const { requests: tasks, total, nextCursor } = await listRequests(
+      { assignedWorkerId: req.user.userId },
+      req.query
+    );
 
-    res.json({ success: true, tasks, count: tasks.length });
+    res.json({ success: true, tasks, count: tasks.length, total, nextCursor });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.message, code: error.code });
     console.error('Get my tasks error:', error);
     res.status(500).json({ success: false, error: 'Failed to get tasks' });
   }
@@ -72,6 +223,7 @@ router.get('/my-tasks', authenticateToken, async (req, res) => {
 
 // ==========================================
 // GET CLIENT'S REQUESTS
+// Query: filters, q, sort, limit, cursor — see utils/requestQuery.js
 // ==========================================
 router.get('/my-requests', authenticateToken, async (req, res) => {
   try {
@@ -79,27 +231,35 @@ router.get('/my-requests', authenticateToken, async (req, res) => {
       return res.status(403).json({ success: false, error: 'Client access only' });
     }
 
-    const requests = await Request.find({ clientId: req.user.userId })
-      .sort({ createdAt: -1 });
+    const { requests, total, nextCursor } = await listRequests(
+      { clientId: req.user.userId },
+      req.query
+    );
 
-    res.json({ success: true, requests, count: requests.length });
+    res.json({ success: true, requests, count: requests.length, total, nextCursor });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.message, code: error.code });
     console.error('Get my requests error:', error);
     res.status(500).json({ success: false, error: 'Failed to get requests' });
   }
 });
 
 // ==========================================
-// UPDATE TASK STATUS (Worker)
-// ✅ FIX: now notifies the client on every status change
+// UPDATE STATUS (assigned worker, client or admin)
+// Body: { status, reason?, note? } — see utils/requestStatus.js for who may
+// move a request where. Handing work over for review and approving it go
+// through the deliverable endpoints below instead; an admin moving it out of
+// review settles the pending deliverable (closePendingDeliverable).
 // ==========================================
 router.put('/:id/status', authenticateToken, async (req, res) => {
   try {
-    const { status, note } = req.body;
+    const { status, note, reason } = req.body;
 
-    const validStatuses = ['assigned', 'in_progress', 'completed'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ success: false, error: 'Invalid status' });
+    if (!status) {
+      return res.status(400).json({ success: false, error: 'Status is required' });
+    }
+    if (status === 'cancelled') {
+      return res.status(400).json({ success: false, error: 'Use POST /api/requests/:id/cancel to cancel a request' });
     }
 
     const request = await Request.findById(req.params.id);
@@ -107,48 +267,164 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Request not found' });
     }
 
-    if (request.assignedWorkerId?.toString() !== req.user.userId) {
-      return res.status(403).json({ success: false, error: 'Not assigned to this task' });
+    // Moving back to pending unassigns the worker, whose counters still need updating
+    const previousWorkerId = request.assignedWorkerId;
+    const previousStatus = request.status;
+
+    let changed;
+    try {
+      changed = changeStatus(request, status, req.user, { reason });
+    } catch (err) {
+      if (err.status) return sendStatusError(res, err);
+      throw err;
     }
 
-    const oldStatus = request.status;
-    request.status = status;
-    if (note) request.note = note;
+    settleAssignmentResponse(request);
+    if (note && ['worker', 'admin'].includes(actorRoleFor(request, req.user))) {
+      request.note = note;
+    }
     await request.save();
 
-    // ── ✅ Notify client about status change ──────────────────────────────
-    if (status !== oldStatus) {
-      try {
-        const statusLabels = {
-          assigned:    'Assigned',
-          in_progress: 'In Progress',
-          completed:   'Completed ✅',
-        };
-        const svcStr = (request.services || []).slice(0, 2).join(', ');
-        const client = await User.findById(request.clientId).select('_id fcmToken').lean();
-        if (client) {
-          await notify({
-            userId:   client._id,
-            title:    `Request ${statusLabels[status] || status}`,
-            body:     `Your request for ${svcStr} is now ${statusLabels[status] || status}.`,
-            type:     status === 'completed' ? 'request_completed' : 'status_updated',
-            data:     { requestId: request._id.toString(), status },
-            fcmToken: client.fcmToken,
-          });
-        }
-      } catch (notifErr) {
-        console.warn('Notify error (non-fatal):', notifErr.message);
-      }
+    if (changed) {
+      await closePendingDeliverable(request, previousStatus, req.user, reason);
+      await refreshWorkerCounters(previousWorkerId, request.assignedWorkerId);
+      await notifyStatusChange(request, req.user.userId, { previousWorkerId });
     }
-    // ─────────────────────────────────────────────────────────────────────
 
-    res.json({ success: true, message: 'Status updated successfully', request });
+    res.json({
+      success: true,
+      message: 'Status updated successfully',
+      request,
+      allowedTransitions: allowedTransitions(request, req.user),
+    });
   } catch (error) {
     console.error('Update status error:', error);
     res.status(500).json({ success: false, error: 'Failed to update status' });
   }
 });
 
+// ==========================================
+// ACCEPT ASSIGNMENT (Assigned worker)
+// ==========================================
+router.post('/:id/accept', authenticateToken, async (req, res) => {
+  try {
+    const now = new Date();
+
+    // Conditional update so an accept can't race the expiry sweep
+    const request = await Request.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        assignedWorkerId: req.user.userId,
+        status: 'assigned',
+        assignmentResponse: 'awaiting',
+        assignmentExpiresAt: { $gt: now },
+      },
+      { $set: { assignmentResponse: 'accepted', assignmentAcceptedAt: now, assignmentExpiresAt: null } },
+      { new: true }
+    );
+
+    if (!request) {
+      const current = await Request.findById(req.params.id).select('assignedWorkerId status assignmentResponse');
+      if (!current) {
+        return res.status(404).json({ success: false, error: 'Request not found' });
+      }
+      if (req.user.role !== 'worker' || current.assignedWorkerId?.toString() !== req.user.userId) {
+        return res.status(403).json({ success: false, error: 'Not assigned to this task' });
+      }
+      if (current.status === 'assigned' && current.assignmentResponse !== 'awaiting') {
+        return res.status(409).json({ success: false, error: 'You have already accepted this task' });
+      }
+      return res.status(409).json({ success: false, error: 'This assignment is no longer open — it may have expired' });
+    }
+
+    const svcStr = request.services.slice(0, 2).join(', ');
+    try {
+      const admins = await User.find({ role: 'admin' }).select('_id fcmToken').lean();
+      for (const admin of admins) {
+        await notify({
+          userId:   admin._id,
+          title:    '👍 Assignment Accepted',
+          body:     `${request.assignedWorkerName} accepted the request for ${svcStr}.`,
+          type:     'assignment_accepted',
+          data:     { requestId: request._id.toString() },
+          fcmToken: admin.fcmToken,
+        });
+      }
+    } catch (notifErr) {
+      console.warn('Assignment accepted notification error (non-fatal):', notifErr.message);
+    }
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '👍 Worker Confirmed',
+      body:  `${request.assignedWorkerName} accepted your request for ${svcStr}.`,
+      type:  'status_updated',
+      data:  { status: request.status },
+    });
+
+    res.json({ success: true, message: 'Assignment accepted', request });
+  } catch (error) {
+    console.error('Accept assignment error:', error);
+    res.status(500).json({ success: false, error: 'Failed to accept assignment' });
+  }
+});
+
+// ==========================================
+// DECLINE ASSIGNMENT (Assigned worker) — any time before work starts
+// Body: { reason }
+// Goes back to the admin queue or on to the next suggested worker.
+// ==========================================
+router.post('/:id/decline', authenticateToken, async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'Please say why you are declining' });
+    }
+
+    // Claim it first — the expiry sweep only takes 'awaiting' assignments.
+    // This returns the request as it was, so the claim can be undone below.
+    const request = await Request.findOneAndUpdate(
+      { _id: req.params.id, assignedWorkerId: req.user.userId, status: 'assigned' },
+      { $set: { assignmentResponse: null, assignmentExpiresAt: null } }
+    );
+
+    if (!request) {
+      const current = await Request.findById(req.params.id).select('assignedWorkerId status');
+      if (!current) {
+        return res.status(404).json({ success: false, error: 'Request not found' });
+      }
+      if (req.user.role !== 'worker' || current.assignedWorkerId?.toString() !== req.user.userId) {
+        return res.status(403).json({ success: false, error: 'Not assigned to this task' });
+      }
+      return res.status(409).json({ success: false, error: 'Work has already started — ask an admin to reassign it' });
+    }
+
+    const previous = {
+      assignmentResponse: request.assignmentResponse,
+      assignmentExpiresAt: request.assignmentExpiresAt,
+    };
+
+    let next;
+    try {
+      next = await releaseAssignment(request, req.user, {
+        reason: `Declined by ${request.assignedWorkerName}: ${reason}`,
+      });
+    } catch (err) {
+      await restoreAssignmentClaim({ _id: request._id, assignedWorkerId: req.user.userId }, previous);
+      if (err.status) return sendStatusError(res, err);
+      throw err;
+    }
+
+    res.json({
+      success: true,
+      message: 'Assignment declined',
+      reassignedTo: next ? { workerId: next.workerId, fullName: next.fullName } : null,
+    });
+  } catch (error) {
+    console.error('Decline assignment error:', error);
+    res.status(500).json({ success: false, error: 'Failed to decline assignment' });
+  }
+});
+
 // ==========================================
 // UPDATE TASK NOTE (Worker)
 // ==========================================
@@ -210,19 +486,7 @@ if (razorpayOrderId && razorpaySignature) {
     // ── Server-side price validation ────────────────────────────────────
     let expectedAmount = 0;
     try {
-      const pricingDocs = await ServicePricing.find({
-        serviceName: { $in: services },
-        isActive: true,
-      });
-      const baseTotal = pricingDocs.reduce((sum, p) => sum + (p.price || 0), 0);
-
-      const selectedPlan = plan || 'basic';
-      const tierDoc = await PlanTier.findOne({ tierId: selectedPlan.toLowerCase() });
-      const multiplier = tierDoc ? tierDoc.multiplier : 1;
-
-      const subtotal = baseTotal * multiplier;
-      const gst = subtotal * 0.18;
-      expectedAmount = Math.round(subtotal + gst);
+      ({ total: expectedAmount } = await quotePrice(services, plan || 'basic'));
     } catch (pricingErr) {
       console.error('Price calculation error:', pricingErr);
     }
@@ -243,6 +507,7 @@ if (razorpayOrderId && razorpaySignature) {
 
     const user = await User.findById(req.user.userId);
     const finalAmount = expectedAmount > 0 ? expectedAmount : (amountPaid || 0);
+    const { dueAt, slaReminderAt } = await computeSla(plan || 'basic');
 
     const request = await Request.create({
       clientId: user._id,
@@ -252,11 +517,14 @@ if (razorpayOrderId && razorpaySignature) {
       description,
       deadline: deadline || null,
       status: 'pending',
+      statusHistory: [{ from: null, to: 'pending', actorId: user._id, actorRole: 'client' }],
       uploadedFiles: req.body.uploadedFiles || [],
       paymentId,
       amountPaid: finalAmount,
       paymentStatus: 'paid',
       plan: plan || 'basic',
+      dueAt,
+      slaReminderAt,
     });
 
     // ── Notify admins: new request created ──────────────────────────────
@@ -295,10 +563,26 @@ if (razorpayOrderId && razorpaySignature) {
     }
     // ─────────────────────────────────────────────────────────────────────
 
+    // ── Auto-assign (when switched on in AssignmentSettings) ─────────────
+    let autoAssigned = null;
+    try {
+      autoAssigned = await autoAssignRequest(request);
+      if (autoAssigned) {
+        await notifyStatusChange(request, null, { skipWorker: true });
+        await notifyAssignedWorker(request);
+      }
+    } catch (assignErr) {
+      console.warn('Auto-assign error (non-fatal):', assignErr.message);
+    }
+    // ─────────────────────────────────────────────────────────────────────
+
     res.status(201).json({
       success: true,
       message: 'Request created successfully',
       request,
+      autoAssigned: autoAssigned
+        ? { workerId: autoAssigned.workerId, fullName: autoAssigned.fullName, score: autoAssigned.score }
+        : null,
     });
   } catch (error) {
     console.error('Create request error:', error);
@@ -308,6 +592,7 @@ if (razorpayOrderId && razorpaySignature) {
 
 // ==========================================
 // GET ALL REQUESTS (role-based)
+// Query: filters, q, sort, limit, cursor — see utils/requestQuery.js
 // ==========================================
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -321,15 +606,184 @@ router.get('/', authenticateToken, async (req, res) => {
       query = { clientId: req.user.userId };
     }
 
-    const requests = await Request.find(query).sort({ createdAt: -1 });
+    const { requests, total, nextCursor } = await listRequests(query, req.query);
 
-    res.json({ success: true, requests, count: requests.length });
+    res.json({ success: true, requests, count: requests.length, total, nextCursor });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.message, code: error.code });
     console.error('Get requests error:', error);
     res.status(500).json({ success: false, error: 'Failed to get requests' });
   }
 });
 
+// ==========================================
+// GET REFUNDS (Admin)
+// Query: ?status=pending|processed|not_applicable
+// ==========================================
+router.get('/refunds', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Admin access only' });
+    }
+
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const refunds = await Refund.find(query)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate('requestId', 'services clientName plan status')
+      .lean();
+
+    res.json({ success: true, refunds, count: refunds.length });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get refunds' });
+  }
+});
+
+// ==========================================
+// MARK REFUND PROCESSED (Admin)
+// Body: { gatewayRefundId? } — call once the money has been sent back
+// ==========================================
+router.put('/refunds/:refundId/processed', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Admin access only' });
+    }
+
+    const refund = await Refund.findOneAndUpdate(
+      { _id: req.params.refundId, status: 'pending' },
+      {
+        $set: {
+          status: 'processed',
+          gatewayRefundId: req.body.gatewayRefundId || null,
+          processedAt: new Date(),
+          processedBy: req.user.userId,
+        },
+      },
+      { new: true }
+    );
+    if (!refund) {
+      return res.status(404).json({ success: false, error: 'Pending refund not found' });
+    }
+
+    await Request.updateOne(
+      { _id: refund.requestId },
+      { $set: { paymentStatus: refund.percent >= 100 ? 'refunded' : 'partially_refunded' } }
+    );
+
+    try {
+      const client = await User.findById(refund.clientId).select('_id fcmToken').lean();
+      if (client) {
+        await notify({
+          userId:   client._id,
+          title:    '💸 Refund Processed',
+          body:     `₹${refund.amount} has been refunded to your original payment method.`,
+          type:     'refund_processed',
+          data:     { requestId: refund.requestId.toString(), amount: String(refund.amount) },
+          fcmToken: client.fcmToken,
+        });
+      }
+    } catch (notifErr) {
+      console.warn('Refund notification error (non-fatal):', notifErr.message);
+    }
+
+    res.json({ success: true, message: 'Refund marked as processed', refund });
+  } catch (error) {
+    console.error('Process refund error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update refund' });
+  }
+});
+
+// ==========================================
+// GET ASSIGNMENT SETTINGS (Admin)
+// ==========================================
+router.get('/assignment-settings', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Admin only' });
+    }
+
+    const settings = await AssignmentSettings.getSettings();
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Get assignment settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get assignment settings' });
+  }
+});
+
+// ==========================================
+// UPDATE ASSIGNMENT SETTINGS (Admin)
+// Body: any of { autoAssign, minSkillMatch (0–1), maxActiveProjects,
+//                acceptWindowMinutes, reassignTo: 'queue'|'next_suggestion',
+//                weights: { skill, load, rating } (0–1 each) }
+// ==========================================
+router.put('/assignment-settings', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Admin only' });
+    }
+
+    const { autoAssign, minSkillMatch, maxActiveProjects, acceptWindowMinutes, reassignTo, weights } = req.body;
+    const inRange = (v) => typeof v === 'number' && v >= 0 && v <= 1;
+    const settings = await AssignmentSettings.getSettings();
+
+    if (autoAssign !== undefined) {
+      if (typeof autoAssign !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'autoAssign must be true or false' });
+      }
+      settings.autoAssign = autoAssign;
+    }
+    if (minSkillMatch !== undefined) {
+      if (!inRange(minSkillMatch)) {
+        return res.status(400).json({ success: false, error: 'minSkillMatch must be between 0 and 1' });
+      }
+      settings.minSkillMatch = minSkillMatch;
+    }
+    if (maxActiveProjects !== undefined) {
+      if (!Number.isInteger(maxActiveProjects) || maxActiveProjects < 1) {
+        return res.status(400).json({ success: false, error: 'maxActiveProjects must be a whole number of at least 1' });
+      }
+      settings.maxActiveProjects = maxActiveProjects;
+    }
+    if (acceptWindowMinutes !== undefined) {
+      if (!Number.isInteger(acceptWindowMinutes) || acceptWindowMinutes < 5) {
+        return res.status(400).json({ success: false, error: 'acceptWindowMinutes must be a whole number of at least 5' });
+      }
+      settings.acceptWindowMinutes = acceptWindowMinutes;
+    }
+    if (reassignTo !== undefined) {
+      if (!['queue', 'next_suggestion'].includes(reassignTo)) {
+        return res.status(400).json({ success: false, error: 'reassignTo must be "queue" or "next_suggestion"' });
+      }
+      settings.reassignTo = reassignTo;
+    }
+    if (weights !== undefined) {
+      if (!weights || typeof weights !== 'object') {
+        return res.status(400).json({ success: false, error: 'weights must be an object' });
+      }
+      for (const [factor, value] of Object.entries(weights)) {
+        if (!['skill', 'load', 'rating'].includes(factor)) {
+          return res.status(400).json({ success: false, error: `Unknown weight "${factor}". Use: skill, load, rating` });
+        }
+        if (!inRange(value)) {
+          return res.status(400).json({ success: false, error: `Weight "${factor}" must be between 0 and 1` });
+        }
+        settings.weights[factor] = value;
+      }
+    }
+
+    settings.updatedBy = req.user.userId;
+    await settings.save();
+
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error('Update assignment settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update assignment settings' });
+  }
+});
+
 // ==========================================
 // GET SINGLE REQUEST
 // ==========================================
@@ -349,20 +803,50 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ success: false, error: 'Access denied' });
     }
 
-    res.json({ success: true, request });
+    res.json({ success: true, request, allowedTransitions: allowedTransitions(request, req.user) });
   } catch (error) {
     console.error('Get request error:', error);
     res.status(500).json({ success: false, error: 'Failed to get request' });
   }
 });
 
+// ==========================================
+// ASSIGNMENT SUGGESTIONS (Admin) — workers ranked for this request
+// Query: ?limit= (default 5, max 50). Assign one with PUT /:id { assignedWorkerId }.
+// ==========================================
+router.get('/:id/assignment-suggestions', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ success: false, error: 'Admin only' });
+    }
+
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 50);
+    const suggestions = await rankWorkers(request, { limit });
+
+    res.json({ success: true, plan: request.plan, services: request.services, suggestions });
+  } catch (error) {
+    console.error('Assignment suggestions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get assignment suggestions' });
+  }
+});
+
 // ==========================================
 // UPDATE REQUEST (Admin general update)
 // — status change, worker assignment, notes
+// Status changes follow the same rules as PUT /:id/status.
 // ==========================================
 router.put('/:id', authenticateToken, async (req, res) => {
   try {
-    const { status, note, uploadedFiles, assignedWorkerId } = req.body;
+    const { status, note, uploadedFiles, assignedWorkerId, reason } = req.body;
+
+    if (status === 'cancelled') {
+      return res.status(400).json({ success: false, error: 'Use POST /api/requests/:id/cancel to cancel a request' });
+    }
 
     const request = await Request.findById(req.params.id);
     if (!request) {
@@ -377,75 +861,55 @@ router.put('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ success: false, error: 'Access denied' });
     }
 
-    const updateData = {};
-    if (status) updateData.status = status;
-    if (note !== undefined) updateData.note = note;
-    if (uploadedFiles) updateData.uploadedFiles = uploadedFiles;
-
-    if (req.user.role === 'admin' && assignedWorkerId) {
-      const worker = await User.findById(assignedWorkerId);
-      if (worker) {
-        updateData.assignedWorkerId  = assignedWorkerId;
-        updateData.assignedWorkerName = worker.fullName;
-        updateData.status = 'assigned';
-      }
-    }
-
     const oldStatus   = request.status;
     const oldAssigned = request.assignedWorkerId?.toString();
+    let newlyAssigned = false;
 
-    const updatedRequest = await Request.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
-
-    // ── Push notifications ──────────────────────────────────────────────
     try {
-      const statusLabels = {
-        pending:     'Pending',
-        assigned:    'Assigned',
-        in_progress: 'In Progress',
-        completed:   'Completed ✅',
-        cancelled:   'Cancelled',
-      };
-      const svcStr = (updatedRequest.services || []).slice(0, 2).join(', ');
-
-      // Notify client when status changes
-      if (updateData.status && updateData.status !== oldStatus) {
-        const client = await User.findById(updatedRequest.clientId).select('_id fcmToken').lean();
-        if (client) {
-          await notify({
-            userId:   client._id,
-            title:    `Request ${statusLabels[updateData.status] || updateData.status}`,
-            body:     `Your request for ${svcStr} is now ${statusLabels[updateData.status] || updateData.status}.`,
-            type:     updateData.status === 'completed' ? 'request_completed' : 'status_updated',
-            data:     { requestId: updatedRequest._id.toString(), status: updateData.status },
-            fcmToken: client.fcmToken,
-          });
+      if (req.user.role === 'admin' && assignedWorkerId && assignedWorkerId !== oldAssigned) {
+        const worker = await User.findById(assignedWorkerId);
+        if (!worker || worker.role !== 'worker') {
+          return res.status(400).json({ success: false, error: 'Worker not found' });
         }
-      }
 
-      // Notify worker when newly assigned
-      if (updateData.assignedWorkerId && updateData.assignedWorkerId !== oldAssigned) {
-        const worker = await User.findById(updateData.assignedWorkerId).select('_id fcmToken').lean();
-        if (worker) {
-          await notify({
-            userId:   worker._id,
-            title:    '🔧 New Task Assigned',
-            body:     `You've been assigned a request for ${svcStr}.`,
-            type:     'request_assigned',
-            data:     { requestId: updatedRequest._id.toString() },
-            fcmToken: worker.fcmToken,
-          });
-        }
+        await offerToWorker(request, worker, req.user, {
+          reason: reason || `${oldAssigned ? 'Reassigned' : 'Assigned'} to ${worker.fullName}`,
+        });
+        newlyAssigned = true;
       }
-    } catch (notifErr) {
-      console.warn('Notification error (non-fatal):', notifErr.message);
+
+      if (status) changeStatus(request, status, req.user, { reason });
+    } catch (err) {
+      if (err.status) return sendStatusError(res, err);
+      throw err;
+    }
+    settleAssignmentResponse(request);
+
+    if (note !== undefined) request.note = note;
+    if (uploadedFiles) request.uploadedFiles = uploadedFiles;
+
+    const updatedRequest = await request.save();
+    await closePendingDeliverable(updatedRequest, oldStatus, req.user, reason);
+
+    if (updatedRequest.status !== oldStatus || newlyAssigned) {
+      await refreshWorkerCounters(oldAssigned, updatedRequest.assignedWorkerId);
     }
+
+    // ── Push notifications ──────────────────────────────────────────────
+    if (updatedRequest.status !== oldStatus) {
+      await notifyStatusChange(updatedRequest, req.user.userId, { skipWorker: newlyAssigned, previousWorkerId: oldAssigned });
+    }
+
+    // Notify worker when newly assigned
+    if (newlyAssigned) await notifyAssignedWorker(updatedRequest);
     // ─────────────────────────────────────────────────────────────────────
 
-    res.json({ success: true, message: 'Request updated successfully', request: updatedRequest });
+    res.json({
+      success: true,
+      message: 'Request updated successfully',
+      request: updatedRequest,
+      allowedTransitions: allowedTransitions(updatedRequest, req.user),
+    });
   } catch (error) {
     console.error('Update request error:', error);
     res.status(500).json({ success: false, error: 'Failed to update request' });
@@ -453,29 +917,1232 @@ router.put('/:id', authenticateToken, async (req, res) => {
 });
 
 // ==========================================
-// DELETE REQUEST (Admin or Client)
+// ADD MILESTONE (Admin or assigned worker)
+// Body: { title, description?, dueDate?, amountShare? }
 // ==========================================
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.post('/:id/milestones', authenticateToken, async (req, res) => {
   try {
     const request = await Request.findById(req.params.id);
     if (!request) {
       return res.status(404).json({ success: false, error: 'Request not found' });
     }
 
-    const canDelete =
-      req.user.role === 'admin' ||
-      request.clientId.toString() === req.user.userId;
+    if (!['admin', 'worker'].includes(actorRoleFor(request, req.user))) {
+      return res.status(403).json({ success: false, error: 'Only the assigned worker or an admin can plan milestones' });
+    }
+    if (!milestonesOpen(request, res)) return;
 
-    if (!canDelete) {
-      return res.status(403).json({ success: false, error: 'Access denied' });
+    const { fields, error } = parseMilestoneFields({ ...req.body, title: req.body.title ?? '' });
+    if (error) return res.status(400).json({ success: false, error });
+
+    if (totalShareExcept(request) + (fields.amountShare || 0) > 100) {
+      return res.status(400).json({ success: false, error: 'Milestone shares would add up to more than 100%' });
+    }
+
+    request.milestones.push(fields);
+    await request.save();
+    const milestone = request.milestones[request.milestones.length - 1];
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '🗂️ New Milestone',
+      body:  `"${milestone.title}" was added to your request.`,
+      type:  'milestone_updated',
+      data:  { milestoneId: milestone._id.toString(), milestoneStatus: milestone.status },
+    });
+
+    res.status(201).json({ success: true, milestone, progress: request.progress });
+  } catch (error) {
+    console.error('Add milestone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to add milestone' });
+  }
+});
+
+// ==========================================
+// UPDATE MILESTONE (Admin or assigned worker)
+// Body: any of { title, description, dueDate, amountShare }
+// ==========================================
+router.put('/:id/milestones/:milestoneId', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (!['admin', 'worker'].includes(actorRoleFor(request, req.user))) {
+      return res.status(403).json({ success: false, error: 'Only the assigned worker or an admin can edit milestones' });
+    }
+    if (!milestonesOpen(request, res)) return;
+
+    const milestone = request.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ success: false, error: 'Milestone not found' });
+    }
+    if (milestone.status === 'approved') {
+      return res.status(409).json({ success: false, error: 'An approved milestone can no longer be changed' });
+    }
+    // The client is reviewing exactly what was delivered
+    if (milestone.status === 'delivered') {
+      return res.status(409).json({ success: false, error: 'A delivered milestone can\'t be changed while the client reviews it' });
+    }
+
+    const { fields, error } = parseMilestoneFields(req.body);
+    if (error) return res.status(400).json({ success: false, error });
+
+    if (fields.amountShare !== undefined &&
+        totalShareExcept(request, req.params.milestoneId) + fields.amountShare > 100) {
+      return res.status(400).json({ success: false, error: 'Milestone shares would add up to more than 100%' });
+    }
+
+    milestone.set(fields);
+    await request.save();
+
+    if (fields.dueDate !== undefined || fields.amountShare !== undefined) {
+      await notifyParticipants(request, req.user.userId, {
+        title: '🗂️ Milestone Updated',
+        body:  `"${milestone.title}" was updated.`,
+        type:  'milestone_updated',
+        data:  { milestoneId: milestone._id.toString(), milestoneStatus: milestone.status },
+      });
+    }
+
+    res.json({ success: true, milestone, progress: request.progress });
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update milestone' });
+  }
+});
+
+// ==========================================
+// DELETE MILESTONE (Admin or assigned worker) — only before anything was delivered
+// ==========================================
+router.delete('/:id/milestones/:milestoneId', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (!['admin', 'worker'].includes(actorRoleFor(request, req.user))) {
+      return res.status(403).json({ success: false, error: 'Only the assigned worker or an admin can remove milestones' });
+    }
+    if (!milestonesOpen(request, res)) return;
+
+    const milestone = request.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ success: false, error: 'Milestone not found' });
+    }
+    if (milestone.status !== 'pending') {
+      return res.status(409).json({ success: false, error: 'Only milestones that haven\'t been delivered yet can be removed' });
+    }
+
+    const title = milestone.title;
+    milestone.deleteOne();
+    await request.save();
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '🗂️ Milestone Removed',
+      body:  `"${title}" was removed from your request.`,
+      type:  'milestone_updated',
+      data:  { milestoneId: req.params.milestoneId },
+    });
+
+    res.json({ success: true, message: 'Milestone removed', progress: request.progress });
+  } catch (error) {
+    console.error('Delete milestone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove milestone' });
+  }
+});
+
+// ==========================================
+// DELIVER MILESTONE (Assigned worker)
+// Body: { deliverables: [{ url, name? }] or [url], note? }
+// ==========================================
+router.post('/:id/milestones/:milestoneId/deliver', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (actorRoleFor(request, req.user) !== 'worker') {
+      return res.status(403).json({ success: false, error: 'Not assigned to this task' });
+    }
+    if (request.status !== 'in_progress') {
+      return res.status(409).json({ success: false, error: 'Start work on the request before delivering milestones' });
+    }
+
+    const milestone = request.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ success: false, error: 'Milestone not found' });
+    }
+    if (!['pending', 'changes_requested'].includes(milestone.status)) {
+      return res.status(409).json({ success: false, error: `This milestone is already ${milestone.status.replace('_', ' ')}` });
+    }
+
+    const deliverables = (Array.isArray(req.body.deliverables) ? req.body.deliverables : [])
+      .map((d) => (typeof d === 'string' ? { url: d } : { url: d?.url, name: d?.name || null }))
+      .filter((d) => typeof d.url === 'string' && d.url.trim());
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 2000) : '';
+
+    if (deliverables.length === 0 && !note) {
+      return res.status(400).json({ success: false, error: 'Add at least one file/link or a note' });
+    }
+
+    milestone.deliverables = deliverables;
+    milestone.deliveryNote = note || null;
+    milestone.status = 'delivered';
+    milestone.deliveredAt = new Date();
+    await request.save();
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '📦 Milestone Delivered',
+      body:  `"${milestone.title}" is ready for your review.`,
+      type:  'milestone_updated',
+      data:  { milestoneId: milestone._id.toString(), milestoneStatus: milestone.status },
+    });
+
+    res.json({ success: true, milestone, progress: request.progress });
+  } catch (error) {
+    console.error('Deliver milestone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to deliver milestone' });
+  }
+});
+
+// ==========================================
+// APPROVE MILESTONE (Client)
+// ==========================================
+router.post('/:id/milestones/:milestoneId/approve', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (actorRoleFor(request, req.user) !== 'client') {
+      return res.status(403).json({ success: false, error: 'Only the client can approve milestones' });
+    }
+    if (!milestonesOpen(request, res)) return;
+
+    const milestone = request.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ success: false, error: 'Milestone not found' });
+    }
+    if (milestone.status !== 'delivered') {
+      return res.status(409).json({ success: false, error: 'Only a delivered milestone can be approved' });
+    }
+
+    milestone.status = 'approved';
+    milestone.approvedAt = new Date();
+    await request.save();
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '✅ Milestone Approved',
+      body:  `"${milestone.title}" was approved. Progress: ${request.progress}%.`,
+      type:  'milestone_updated',
+      data:  { milestoneId: milestone._id.toString(), milestoneStatus: milestone.status },
+    });
+
+    res.json({ success: true, milestone, progress: request.progress });
+  } catch (error) {
+    console.error('Approve milestone error:', error);
+    res.status(500).json({ success: false, error: 'Failed to approve milestone' });
+  }
+});
+
+// ==========================================
+// REQUEST MILESTONE CHANGES (Client)
+// Body: { comment }
+// ==========================================
+router.post('/:id/milestones/:milestoneId/request-changes', authenticateToken, async (req, res) => {
+  try {
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+    if (!comment) {
+      return res.status(400).json({ success: false, error: 'Please describe the changes you need' });
+    }
+
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (actorRoleFor(request, req.user) !== 'client') {
+      return res.status(403).json({ success: false, error: 'Only the client can request changes' });
+    }
+    if (!milestonesOpen(request, res)) return;
+
+    const milestone = request.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ success: false, error: 'Milestone not found' });
+    }
+    if (milestone.status !== 'delivered') {
+      return res.status(409).json({ success: false, error: 'Changes can only be requested on a delivered milestone' });
+    }
+
+    milestone.status = 'changes_requested';
+    milestone.feedback.push({ comment: comment.slice(0, 2000), at: new Date() });
+    await request.save();
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '✏️ Changes Requested',
+      body:  `The client asked for changes to "${milestone.title}".`,
+      type:  'milestone_updated',
+      data:  { milestoneId: milestone._id.toString(), milestoneStatus: milestone.status },
+    });
+
+    res.json({ success: true, milestone, progress: request.progress });
+  } catch (error) {
+    console.error('Request milestone changes error:', error);
+    res.status(500).json({ success: false, error: 'Failed to request changes' });
+  }
+});
+
+// ==========================================
+// SUBMIT DELIVERABLE (Assigned worker)
+// Body: { files: [{ url, name? }] or [url], note? }
+// Moves the request to review for the client to approve.
+// ==========================================
+router.post('/:id/deliverables', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (actorRoleFor(request, req.user) !== 'worker') {
+      return res.status(403).json({ success: false, error: 'Not assigned to this task' });
+    }
+
+    const files = (Array.isArray(req.body.files) ? req.body.files : [])
+      .map((f) => (typeof f === 'string' ? { url: f } : { url: f?.url, name: f?.name || null }))
+      .filter((f) => typeof f.url === 'string' && f.url.trim());
+    const note = typeof req.body.note === 'string' ? req.body.note.trim().slice(0, 5000) : '';
+
+    if (files.length === 0 && !note) {
+      return res.status(400).json({ success: false, error: 'Add at least one file or a note' });
+    }
+
+    const round = (await Deliverable.countDocuments({ requestId: request._id })) + 1;
+
+    try {
+      changeStatus(request, 'review', req.user, {
+        reason: `Deliverable round ${round} submitted`,
+        via: 'deliverable',
+      });
+    } catch (err) {
+      if (err.status) return sendStatusError(res, err);
+      throw err;
+    }
+
+    let deliverable;
+    try {
+      deliverable = await Deliverable.create({
+        requestId: request._id,
+        round,
+        workerId: req.user.userId,
+        files,
+        note: note || null,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ success: false, error: 'A deliverable was just submitted for this request' });
+      }
+      throw err;
+    }
+
+    // Don't leave a round behind for a submission that didn't go through
+    try {
+      await request.save();
+    } catch (err) {
+      await Deliverable.deleteOne({ _id: deliverable._id });
+      throw err;
+    }
+    await refreshWorkerCounters(request.assignedWorkerId);
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '📦 Work Ready for Review',
+      body:  `${request.assignedWorkerName || 'Your worker'} submitted ${round > 1 ? `revision ${round - 1}` : 'the work'} for your request. Please review it.`,
+      type:  'deliverable_submitted',
+      data:  { deliverableId: deliverable._id.toString(), round: String(round) },
+    });
+
+    res.status(201).json({ success: true, deliverable, request });
+  } catch (error) {
+    console.error('Submit deliverable error:', error);
+    res.status(500).json({ success: false, error: 'Failed to submit deliverable' });
+  }
+});
+
+// ==========================================
+// GET DELIVERABLES - every round, newest first, plus revision allowance
+// ==========================================
+router.get('/:id/deliverables', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (!actorRoleFor(request, req.user)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const deliverables = await Deliverable.find({ requestId: request._id }).sort({ round: -1 });
+    const revisionLimit = await PlanTier.getRevisionLimit(request.plan);
+
+    res.json({
+      success: true,
+      deliverables,
+      revisionsUsed: request.revisionCount,
+      revisionLimit,
+      revisionsRemaining: revisionLimit === null ? null : Math.max(revisionLimit - request.revisionCount, 0),
+    });
+  } catch (error) {
+    console.error('Get deliverables error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get deliverables' });
+  }
+});
+
+// Load a request and one of its deliverables for a client decision.
+// Sends the error response itself and returns null when something is off.
+async function loadDeliverableForDecision(req, res) {
+  const request = await Request.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({ success: false, error: 'Request not found' });
+    return null;
+  }
+
+  if (actorRoleFor(request, req.user) !== 'client') {
+    res.status(403).json({ success: false, error: 'Only the client can review deliverables' });
+    return null;
+  }
+
+  const deliverable = await Deliverable.findOne({ _id: req.params.deliverableId, requestId: request._id });
+  if (!deliverable) {
+    res.status(404).json({ success: false, error: 'Deliverable not found' });
+    return null;
+  }
+  if (deliverable.decision !== 'pending') {
+    res.status(409).json({ success: false, error: 'This deliverable has already been reviewed' });
+    return null;
+  }
+
+  return { request, deliverable };
+}
+
+// Record the client's decision and save the request's matching status move.
+// The deliverable is claimed with a conditional update (a double tap can't
+// decide it twice) and put back to pending if the request fails to save.
+// Returns null when someone else decided it first.
+async function decideDeliverable(request, deliverable, fields) {
+  const decided = await Deliverable.findOneAndUpdate(
+    { _id: deliverable._id, decision: 'pending' },
+    { $set: { ...fields, decidedAt: new Date() } },
+    { new: true }
+  );
+  if (!decided) return null;
+
+  try {
+    await request.save();
+  } catch (err) {
+    await Deliverable.updateOne(
+      { _id: deliverable._id },
+      { $set: { decision: 'pending', clientComment: null, decidedAt: null, decidedBy: null } }
+    );
+    throw err;
+  }
+  return decided;
+}
+
+// An admin moving a request out of review (other than putting it on hold)
+// settles the round the client was looking at, so it doesn't stay pending
+// forever: completing approves it, anything else counts as sent back.
+// Call after the request is saved. Never throws.
+async function closePendingDeliverable(request, fromStatus, actor, reason) {
+  if (fromStatus !== 'review' || ['review', 'on_hold'].includes(request.status)) return;
+  try {
+    const approved = request.status === 'completed';
+    await Deliverable.updateMany(
+      { requestId: request._id, decision: 'pending' },
+      {
+        $set: {
+          decision: approved ? 'approved' : 'revision_requested',
+          clientComment: approved ? null : (reason || `Moved to ${request.status} by an admin`).slice(0, 5000),
+          decidedAt: new Date(),
+          decidedBy: actor.userId || null,
+        },
+      }
+    );
+  } catch (err) {
+    console.warn(`Could not close the pending deliverable on request ${request._id} (non-fatal):`, err.message);
+  }
+}
+
+// ==========================================
+// APPROVE DELIVERABLE (Client) — completes the request
+// ==========================================
+router.post('/:id/deliverables/:deliverableId/approve', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadDeliverableForDecision(req, res);
+    if (!loaded) return;
+    const { request, deliverable } = loaded;
+
+    try {
+      changeStatus(request, 'completed', req.user, {
+        reason: `Deliverable round ${deliverable.round} approved`,
+        via: 'deliverable',
+      });
+    } catch (err) {
+      if (err.status) return sendStatusError(res, err);
+      throw err;
+    }
+
+    const decided = await decideDeliverable(request, deliverable, {
+      decision: 'approved',
+      decidedBy: req.user.userId,
+    });
+    if (!decided) {
+      return res.status(409).json({ success: false, error: 'This deliverable has already been reviewed' });
+    }
+    await refreshWorkerCounters(request.assignedWorkerId);
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '🎉 Work Approved',
+      body:  `${request.clientName} approved your work. The request is now completed.`,
+      type:  'request_completed',
+      data:  { deliverableId: deliverable._id.toString(), status: request.status },
+    });
+
+    res.json({ success: true, message: 'Deliverable approved — request completed', deliverable: decided, request });
+  } catch (error) {
+    console.error('Approve deliverable error:', error);
+    res.status(500).json({ success: false, error: 'Failed to approve deliverable' });
+  }
+});
+
+// ==========================================
+// REQUEST REVISION (Client) — back to in_progress with comments
+// Body: { comment }
+// ==========================================
+router.post('/:id/deliverables/:deliverableId/request-revision', authenticateToken, async (req, res) => {
+  try {
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+    if (!comment) {
+      return res.status(400).json({ success: false, error: 'Please describe what needs to change' });
+    }
+
+    const loaded = await loadDeliverableForDecision(req, res);
+    if (!loaded) return;
+    const { request, deliverable } = loaded;
+
+    const revisionLimit = await PlanTier.getRevisionLimit(request.plan);
+    if (revisionLimit !== null && request.revisionCount >= revisionLimit) {
+      return res.status(409).json({
+        success: false,
+        code: 'REVISION_LIMIT_REACHED',
+        error: `Your ${request.plan} plan includes ${revisionLimit} revision${revisionLimit === 1 ? '' : 's'}, and all have been used. Approve the work or contact support.`,
+        revisionLimit,
+      });
+    }
+
+    try {
+      changeStatus(request, 'in_progress', req.user, {
+        reason: `Revision requested on round ${deliverable.round}: ${comment}`,
+        via: 'deliverable',
+      });
+    } catch (err) {
+      if (err.status) return sendStatusError(res, err);
+      throw err;
+    }
+
+    request.revisionCount += 1;
+    const decided = await decideDeliverable(request, deliverable, {
+      decision: 'revision_requested',
+      clientComment: comment.slice(0, 5000),
+      decidedBy: req.user.userId,
+    });
+    if (!decided) {
+      return res.status(409).json({ success: false, error: 'This deliverable has already been reviewed' });
+    }
+    await refreshWorkerCounters(request.assignedWorkerId);
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '✏️ Revision Requested',
+      body:  comment.length > 80 ? comment.slice(0, 77) + '…' : comment,
+      type:  'revision_requested',
+      data:  { deliverableId: deliverable._id.toString(), status: request.status },
+    });
+
+    res.json({
+      success: true,
+      message: 'Revision requested',
+      deliverable: decided,
+      request,
+      revisionsRemaining: revisionLimit === null ? null : revisionLimit - request.revisionCount,
+    });
+  } catch (error) {
+    console.error('Request revision error:', error);
+    res.status(500).json({ success: false, error: 'Failed to request revision' });
+  }
+});
+
+// ==========================================
+// REVIEW WORKER (Client) — create, or edit within Review.EDIT_DAYS
+// Body: { rating: 1-5, comment? }
+// ==========================================
+router.post('/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (request.clientId.toString() !== req.user.userId) {
+      return res.status(403).json({ success: false, error: 'Only the client can review this request' });
+    }
+    if (request.status !== 'completed') {
+      return res.status(409).json({ success: false, error: 'You can review a request once it is completed' });
+    }
+    if (!request.assignedWorkerId) {
+      return res.status(409).json({ success: false, error: 'This request has no worker to review' });
+    }
+
+    const rating = Number(req.body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ success: false, error: 'rating must be a whole number from 1 to 5' });
+    }
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+    if (comment.length > 2000) {
+      return res.status(400).json({ success: false, error: 'Review text must be 2000 characters or fewer' });
+    }
+
+    let review = await Review.findOne({ requestId: request._id });
+    const isNew = !review;
+
+    if (review) {
+      if (!review.isEditable()) {
+        return res.status(409).json({
+          success: false,
+          code: 'REVIEW_LOCKED',
+          error: review.isHidden
+            ? 'This review was hidden by a moderator and can no longer be edited'
+            : `Reviews can only be edited for ${Review.EDIT_DAYS} days after posting`,
+        });
+      }
+      review.rating = rating;
+      review.comment = comment;
+      review.editedAt = new Date();
+      await review.save();
+    } else {
+      try {
+        review = await Review.create({
+          requestId: request._id,
+          workerId: request.assignedWorkerId,
+          clientId: request.clientId,
+          clientName: request.clientName,
+          services: request.services,
+          rating,
+          comment,
+          editableUntil: new Date(Date.now() + Review.EDIT_DAYS * 24 * 60 * 60 * 1000),
+        });
+      } catch (err) {
+        if (err.code === 11000) {
+          return res.status(409).json({ success: false, error: 'This request was just reviewed — reload and edit it instead' });
+        }
+        throw err;
+      }
+    }
+
+    const { rating: workerRating, reviewCount } = await recomputeWorkerRating(review.workerId);
+
+    if (isNew) {
+      await notifyParticipants(request, req.user.userId, {
+        title: `⭐ You got a ${rating}-star review`,
+        body:  comment
+          ? (comment.length > 80 ? comment.slice(0, 77) + '…' : comment)
+          : `${request.clientName} rated your work on ${request.services.join(', ')}.`,
+        type:  'review_received',
+        data:  { reviewId: review._id.toString(), rating: String(rating) },
+      });
+    }
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Thanks for your review!' : 'Review updated',
+      review,
+      workerRating,
+      reviewCount,
+    });
+  } catch (error) {
+    console.error('Review request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save review' });
+  }
+});
+
+// ==========================================
+// GET REVIEW for a request (participants)
+// ==========================================
+router.get('/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id).select('clientId assignedWorkerId');
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (!actorRoleFor(request, req.user)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const review = await Review.findOne({ requestId: request._id });
+    res.json({
+      success: true,
+      review,
+      canEdit: !!review && request.clientId.toString() === req.user.userId && review.isEditable(),
+    });
+  } catch (error) {
+    console.error('Get review error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get review' });
+  }
+});
+
+// Whether a proposed change was quoted for a request that has since moved on:
+// different services or plan, or prices that no longer give the same quote.
+async function isStaleChangeOrder(request, changeOrder) {
+  if (changeOrder.basePlan) {
+    const sameServices = changeOrder.baseServices.length === request.services.length &&
+      changeOrder.baseServices.every((s) => request.services.includes(s));
+    if (!sameServices || changeOrder.basePlan !== request.plan) return true;
+  }
+
+  const before = await quotePrice(request.services, request.plan);
+  const after = await quotePrice(
+    [...new Set([...request.services, ...changeOrder.addServices])],
+    changeOrder.newPlan || request.plan
+  );
+  return before.total !== changeOrder.priceBefore || after.total - before.total !== changeOrder.amountDue;
+}
+
+// Close a stale proposed change (so a fresh one can be proposed) and send the 409
+async function rejectStaleChangeOrder(res, changeOrder) {
+  await ChangeOrder.updateOne(
+    { _id: changeOrder._id, status: 'proposed' },
+    {
+      $set: {
+        status: 'stale',
+        decidedAt: new Date(),
+        decisionNote: 'The request or its prices changed after this was proposed',
+      },
+    }
+  );
+  return res.status(409).json({
+    success: false,
+    code: 'CHANGE_ORDER_STALE',
+    error: 'The request or its prices changed since this was proposed. Propose the change again for an up-to-date price' +
+      (changeOrder.razorpayOrderId ? ' — if you already paid for it, contact support for a refund.' : '.'),
+  });
+}
+
+// ==========================================
+// PROPOSE CHANGE ORDER (client, assigned worker or admin)
+// Body: { addServices?: [name], plan?: 'basic'|'standard'|'premium', note? }
+// Priced like POST / — the client pays the difference to accept it.
+// ==========================================
+router.post('/:id/change-orders', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    const role = actorRoleFor(request, req.user);
+    if (!role) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+    if (Request.CLOSED_STATUSES.includes(request.status)) {
+      return res.status(409).json({ success: false, error: `A ${request.status} request can't be changed` });
+    }
+
+    const { plan, note } = req.body;
+    const addServices = [...new Set(
+      (Array.isArray(req.body.addServices) ? req.body.addServices : [])
+        .filter((s) => typeof s === 'string' && s.trim())
+        .map((s) => s.trim())
+    )].filter((s) => !request.services.includes(s));
+    const newPlan = plan && plan !== request.plan ? plan : null;
+
+    if (newPlan && !Request.schema.path('plan').enumValues.includes(newPlan)) {
+      return res.status(400).json({ success: false, error: 'plan must be basic, standard or premium' });
+    }
+    if (addServices.length === 0 && !newPlan) {
+      return res.status(400).json({ success: false, error: 'Add at least one new service or choose a different plan' });
+    }
+
+    const open = await ChangeOrder.exists({ requestId: request._id, status: 'proposed' });
+    if (open) {
+      return res.status(409).json({ success: false, error: 'This request already has a change waiting for a decision' });
+    }
+
+    const before = await quotePrice(request.services, request.plan);
+    const after = await quotePrice([...request.services, ...addServices], newPlan || request.plan);
+
+    const unknown = addServices.filter((s) => after.unpricedServices.includes(s));
+    if (unknown.length) {
+      return res.status(400).json({ success: false, error: `Unknown or unavailable service: ${unknown.join(', ')}` });
+    }
+
+    const amountDue = after.total - before.total;
+    if (amountDue < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'This change would lower the price. Downgrades can\'t be made as a change — contact support.',
+      });
+    }
+
+    let changeOrder;
+    try {
+      changeOrder = await ChangeOrder.create({
+        requestId: request._id,
+        proposedBy: req.user.userId,
+        proposedByRole: role,
+        addServices,
+        newPlan,
+        note: typeof note === 'string' && note.trim() ? note.trim().slice(0, 2000) : null,
+        baseServices: request.services,
+        basePlan: request.plan,
+        priceBefore: before.total,
+        priceAfter: after.total,
+        amountDue,
+      });
+    } catch (err) {
+      // Another change was proposed a moment ago
+      if (err.code === 11000) {
+        return res.status(409).json({ success: false, error: 'This request already has a change waiting for a decision' });
+      }
+      throw err;
+    }
+
+    const what = [
+      addServices.length ? `add ${addServices.join(', ')}` : null,
+      newPlan ? `move to the ${newPlan} plan` : null,
+    ].filter(Boolean).join(' and ');
+    await notifyParticipants(request, req.user.userId, {
+      title: '📝 Change Proposed',
+      body:  `Proposed: ${what} (₹${amountDue} extra).`,
+      type:  'change_order_updated',
+      data:  { changeOrderId: changeOrder._id.toString(), status: changeOrder.status },
+    });
+
+    res.status(201).json({ success: true, changeOrder });
+  } catch (error) {
+    console.error('Propose change order error:', error);
+    res.status(500).json({ success: false, error: 'Failed to propose change' });
+  }
+});
+
+// ==========================================
+// GET CHANGE ORDERS for a request (participants), newest first
+// ==========================================
+router.get('/:id/change-orders', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id).select('clientId assignedWorkerId changeLog');
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (!actorRoleFor(request, req.user)) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const changeOrders = await ChangeOrder.find({ requestId: request._id }).sort({ createdAt: -1 });
+    res.json({ success: true, changeOrders, changeLog: request.changeLog });
+  } catch (error) {
+    console.error('Get change orders error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get change orders' });
+  }
+});
+
+// ==========================================
+// CHANGE ORDER PAYMENT (Client) — Razorpay order for amountDue
+// Pay it with Checkout, then send the result to .../accept.
+// Asking again returns the same order.
+// ==========================================
+router.post('/:id/change-orders/:changeOrderId/payment-order', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id).select('clientId assignedWorkerId status services plan');
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (actorRoleFor(request, req.user) !== 'client') {
+      return res.status(403).json({ success: false, error: 'Only the client can pay for a change' });
+    }
+
+    const changeOrder = await ChangeOrder.findOne({ _id: req.params.changeOrderId, requestId: request._id });
+    if (!changeOrder) {
+      return res.status(404).json({ success: false, error: 'Change not found' });
+    }
+    if (changeOrder.status !== 'proposed') {
+      return res.status(409).json({ success: false, error: `This change was already ${changeOrder.status}` });
+    }
+    if (changeOrder.amountDue <= 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to pay — accept the change directly' });
+    }
+    if (await isStaleChangeOrder(request, changeOrder)) {
+      return rejectStaleChangeOrder(res, changeOrder);
+    }
+
+    if (!changeOrder.razorpayOrderId) {
+      const order = await createOrder({
+        amount: changeOrder.amountDue,
+        receipt: `co_${changeOrder._id}`,
+        notes: { requestId: request._id.toString(), changeOrderId: changeOrder._id.toString() },
+      });
+      // Only the first order sticks if two arrive at once
+      await ChangeOrder.updateOne(
+        { _id: changeOrder._id, razorpayOrderId: { $exists: false } },
+        { $set: { razorpayOrderId: order.id } }
+      );
+    }
+    const { razorpayOrderId, amountDue } = await ChangeOrder.findById(changeOrder._id).lean();
+
+    res.json({
+      success: true,
+      orderId: razorpayOrderId,
+      amount: amountDue,
+      currency: 'INR',
+      keyId: process.env.RAZORPAY_KEY_ID || null,
+    });
+  } catch (error) {
+    console.error('Change order payment error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start payment' });
+  }
+});
+
+// ==========================================
+// ACCEPT CHANGE ORDER (Client)
+// Body: { paymentId, razorpayOrderId, razorpaySignature } when amountDue > 0 —
+// the order must be the one from .../payment-order, paid in full.
+// Applies the change to the request and records it in changeLog.
+// ==========================================
+router.post('/:id/change-orders/:changeOrderId/accept', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    if (actorRoleFor(request, req.user) !== 'client') {
+      return res.status(403).json({ success: false, error: 'Only the client can accept a change' });
+    }
+    if (Request.CLOSED_STATUSES.includes(request.status)) {
+      return res.status(409).json({ success: false, error: `A ${request.status} request can't be changed` });
+    }
+
+    const pending = await ChangeOrder.findOne({ _id: req.params.changeOrderId, requestId: request._id });
+    if (!pending) {
+      return res.status(404).json({ success: false, error: 'Change not found' });
+    }
+    if (pending.status !== 'proposed') {
+      return res.status(409).json({ success: false, error: `This change was already ${pending.status}` });
+    }
+    if (await isStaleChangeOrder(request, pending)) {
+      return rejectStaleChangeOrder(res, pending);
+    }
+
+    const { paymentId, razorpayOrderId, razorpaySignature } = req.body;
+    if (pending.amountDue > 0) {
+      if (!paymentId || !razorpayOrderId || !razorpaySignature) {
+        return res.status(400).json({
+          success: false,
+          error: `Pay ₹${pending.amountDue} first and send paymentId, razorpayOrderId and razorpaySignature`,
+        });
+      }
+      if (!pending.razorpayOrderId || razorpayOrderId !== pending.razorpayOrderId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Pay with the order from POST /api/requests/:id/change-orders/:changeOrderId/payment-order',
+        });
+      }
+      // The request's own payment (or an earlier change's) can't pay for this one
+      const usedPaymentIds = [request.paymentId, ...request.changeLog.map((c) => c.paymentId)].filter(Boolean);
+      if (usedPaymentIds.includes(paymentId)) {
+        return res.status(409).json({ success: false, error: 'That payment has already been used for this request' });
+      }
+      if (!verifyRazorpayPayment(razorpayOrderId, paymentId, razorpaySignature)) {
+        console.warn(`⚠️  Invalid Razorpay signature for change order payment: ${paymentId}`);
+        return res.status(400).json({ success: false, error: 'Payment verification failed. Please contact support.' });
+      }
+      if (!(await isPaymentCaptured(paymentId, { orderId: pending.razorpayOrderId, amount: pending.amountDue }))) {
+        console.warn(`⚠️  Change order payment ${paymentId} not captured for ₹${pending.amountDue} on ${pending.razorpayOrderId}`);
+        return res.status(402).json({
+          success: false,
+          error: `Payment of ₹${pending.amountDue} has not been received for this change. Please contact support.`,
+        });
+      }
+    }
+
+    // Claim it — a double tap can't apply (or charge for) the same change twice
+    const decision = { status: 'accepted', decidedAt: new Date(), decidedBy: req.user.userId };
+    if (pending.amountDue > 0) decision.paymentId = paymentId;
+
+    let changeOrder;
+    try {
+      changeOrder = await ChangeOrder.findOneAndUpdate(
+        { _id: pending._id, status: 'proposed' },
+        { $set: decision },
+        { new: true }
+      );
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ success: false, error: 'That payment has already been used for another change' });
+      }
+      throw err;
+    }
+    if (!changeOrder) {
+      return res.status(409).json({ success: false, error: 'This change was decided a moment ago — reload it' });
+    }
+
+    const fromPlan = request.plan;
+    const addedServices = changeOrder.addServices.filter((s) => !request.services.includes(s));
+    request.services.push(...addedServices);
+    if (changeOrder.newPlan) request.plan = changeOrder.newPlan;
+    request.amountPaid = (request.amountPaid || 0) + changeOrder.amountDue;
+    request.changeLog.push({
+      changeOrderId: changeOrder._id,
+      addedServices,
+      fromPlan,
+      toPlan: request.plan,
+      amountAdded: changeOrder.amountDue,
+      paymentId: changeOrder.paymentId || null,
+      acceptedBy: req.user.userId,
+    });
+
+    // A new plan brings its own delivery promise, counted from the original request
+    if (changeOrder.newPlan) {
+      const { dueAt, slaReminderAt } = await computeSla(request.plan, request.createdAt);
+      const now = new Date();
+      request.dueAt = dueAt;
+      request.slaReminderAt = slaReminderAt;
+      if (slaReminderAt && slaReminderAt > now) request.slaReminderSentAt = null;
+      if (dueAt && dueAt > now) request.slaEscalatedAt = null;
+    }
+
+    try {
+      await request.save();
+    } catch (err) {
+      await ChangeOrder.updateOne(
+        { _id: changeOrder._id },
+        { $set: { status: 'proposed', decidedAt: null, decidedBy: null }, $unset: { paymentId: 1 } }
+      );
+      throw err;
+    }
+
+    await notifyParticipants(request, req.user.userId, {
+      title: '✅ Change Accepted',
+      body:  `${request.clientName} accepted the change. Services: ${request.services.join(', ')} · ${request.plan} plan.`,
+      type:  'change_order_updated',
+      data:  { changeOrderId: changeOrder._id.toString(), status: changeOrder.status },
+    });
+
+    res.json({ success: true, message: 'Change accepted', changeOrder, request });
+  } catch (error) {
+    console.error('Accept change order error:', error);
+    res.status(500).json({ success: false, error: 'Failed to accept change' });
+  }
+});
+
+// ==========================================
+// REJECT / WITHDRAW CHANGE ORDER
+// The client (or an admin) rejects it; whoever proposed it can withdraw it.
+// Body: { note? }
+// ==========================================
+router.post('/:id/change-orders/:changeOrderId/reject', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    const pending = await ChangeOrder.findOne({ _id: req.params.changeOrderId, requestId: request._id });
+    if (!pending) {
+      return res.status(404).json({ success: false, error: 'Change not found' });
+    }
+
+    const role = actorRoleFor(request, req.user);
+    const isProposer = pending.proposedBy.toString() === req.user.userId;
+    if (!isProposer && !['client', 'admin'].includes(role)) {
+      return res.status(403).json({ success: false, error: 'Only the client or whoever proposed it can turn down a change' });
+    }
+
+    const status = isProposer ? 'withdrawn' : 'rejected';
+    const { note } = req.body;
+    const changeOrder = await ChangeOrder.findOneAndUpdate(
+      { _id: pending._id, status: 'proposed' },
+      {
+        $set: {
+          status,
+          decidedAt: new Date(),
+          decidedBy: req.user.userId,
+          decisionNote: typeof note === 'string' && note.trim() ? note.trim().slice(0, 2000) : null,
+        },
+      },
+      { new: true }
+    );
+    if (!changeOrder) {
+      return res.status(409).json({ success: false, error: `This change was already ${pending.status === 'proposed' ? 'decided' : pending.status}` });
+    }
+
+    await notifyParticipants(request, req.user.userId, {
+      title: status === 'withdrawn' ? '↩️ Change Withdrawn' : '❌ Change Rejected',
+      body:  changeOrder.decisionNote || `The proposed change was ${status}.`,
+      type:  'change_order_updated',
+      data:  { changeOrderId: changeOrder._id.toString(), status },
+    });
+
+    res.json({ success: true, message: `Change ${status}`, changeOrder });
+  } catch (error) {
+    console.error('Reject change order error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update change' });
+  }
+});
+
+// ==========================================
+// CANCELLATION QUOTE - What a cancellation would refund right now
+// ==========================================
+router.get('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    const hasAccess =
+      req.user.role === 'admin' ||
+      request.clientId.toString() === req.user.userId ||
+      request.assignedWorkerId?.toString() === req.user.userId;
+
+    if (!hasAccess) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const canCancel = allowedTransitions(request, req.user).includes('cancelled');
+
+    const policy = await RefundPolicy.getPolicy();
+    const { percent, amount } = canCancel ? computeRefund(request, policy) : { percent: 0, amount: 0 };
+
+    res.json({
+      success: true,
+      canCancel,
+      status: request.status,
+      amountPaid: request.amountPaid,
+      refundPercent: percent,
+      refundAmount: amount,
+    });
+  } catch (error) {
+    console.error('Cancellation quote error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get cancellation details' });
+  }
+});
+
+// ==========================================
+// CANCEL REQUEST (Client owner or Admin)
+// Body: { reason, refundPercent? (admin override) }
+// Keeps the request, its messages and history; records a Refund.
+// ==========================================
+router.post('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { reason, refundPercent } = req.body;
+
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    let refund;
+    try {
+      refund = await cancelRequest(request, req.user, { reason, refundPercent });
+    } catch (err) {
+      if (err.status) return sendStatusError(res, err);
+      throw err;
+    }
+
+    // ── Notify admins, the assigned worker, and the client if they didn't cancel ──
+    try {
+      const svcStr = (request.services || []).slice(0, 2).join(', ');
+      const refundText = refund.amount > 0 ? ` Refund due: ₹${refund.amount}.` : '';
+
+      const admins = await User.find({ role: 'admin' }).select('_id fcmToken').lean();
+      const recipients = admins.map((a) => ({ user: a, body: `${request.clientName}'s request for ${svcStr} was cancelled.${refundText}` }));
+
+      if (request.assignedWorkerId) {
+        const worker = await User.findById(request.assignedWorkerId).select('_id fcmToken').lean();
+        if (worker) recipients.push({ user: worker, body: `The request for ${svcStr} was cancelled — no further work is needed.` });
+      }
+      if (request.clientId.toString() !== req.user.userId) {
+        const client = await User.findById(request.clientId).select('_id fcmToken').lean();
+        if (client) recipients.push({ user: client, body: `Your request for ${svcStr} was cancelled.${refundText}` });
+      }
+
+      for (const r of recipients) {
+        if (r.user._id.toString() === req.user.userId) continue;
+        await notify({
+          userId:   r.user._id,
+          title:    '🚫 Request Cancelled',
+          body:     r.body,
+          type:     'request_cancelled',
+          data:     { requestId: request._id.toString(), refundAmount: String(refund.amount) },
+          fcmToken: r.user.fcmToken,
+        });
+      }
+    } catch (notifErr) {
+      console.warn('Cancellation notification error (non-fatal):', notifErr.message);
+    }
+    // ─────────────────────────────────────────────────────────────────────
+
+    res.json({ success: true, message: 'Request cancelled', request, refund });
+  } catch (error) {
+    console.error('Cancel request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel request' });
+  }
+});
+
+// ==========================================
+// DELETE REQUEST (Admin or Client) — unpaid requests only
+// ==========================================
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const request = await Request.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Request not found' });
+    }
+
+    const canDelete =
+      req.user.role === 'admin' ||
+      request.clientId.toString() === req.user.userId;
+
+    if (!canDelete) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    // A paid request (and its refund, if any) is a financial record — nobody
+    // deletes it, admins included. Cancel it instead.
+    if (request.paymentStatus !== 'unpaid' || await Refund.exists({ requestId: request._id })) {
+      return res.status(409).json({
+        success: false,
+        error: 'Paid requests cannot be deleted. Cancel it instead (POST /api/requests/:id/cancel).',
+      });
     }
 
     await Request.findByIdAndDelete(req.params.id);
+    await refreshWorkerCounters(request.assignedWorkerId);
 
     try {
       await Message.deleteMany({ requestId: req.params.id });
+      await Deliverable.deleteMany({ requestId: req.params.id });
+      await ChangeOrder.deleteMany({ requestId: req.params.id });
+      const review = await Review.findOneAndDelete({ requestId: req.params.id });
+      if (review) await recomputeWorkerRating(review.workerId);
     } catch (e) {
-      console.log('Error deleting messages for request:', e.message);
+      console.error(`Cleanup after deleting request ${req.params.id} failed (messages, deliverables, change orders, review):`, e.message);
     }
 
     res.json({ success: true, message: 'Request deleted successfully' });
@@ -0,0 +1,127 @@
+// routes/signingKeys.js - JWT SIGNING KEY MANAGEMENT
+// Admin key rotation / retirement, plus the public JWK Set other services
+// use to verify our tokens.
+// Mounted at /api/auth/keys
+
+const express = require('express');
+const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/tokens');
+const {
+  SUPPORTED_ALGORITHMS,
+  rotateSigningKey,
+  retireSigningKey,
+  listSigningKeys,
+  publicJwks,
+} = require('../utils/signingKeys');
+
+const router = express.Router();
+
+// ── Auth middleware ──────────────────────────────
+const authenticateToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+  try {
+    req.user = await verifyAccessToken(token, req);
+    next();
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
+    res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Admin check — always reads fresh role from DB to avoid stale JWT issues
+const isAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+  } catch {
+    res.status(500).json({ error: 'Failed to verify admin role' });
+  }
+};
+
+// ════════════════════════════════════════════════
+// GET /api/auth/keys/jwks.json  (public)
+// Public keys for RS256 / ES256 / EdDSA signing keys still in use. HS256 keys are
+// shared secrets and never published.
+// ════════════════════════════════════════════════
+router.get('/jwks.json', async (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(await publicJwks());
+  } catch (error) {
+    console.error('JWKS error:', error);
+    res.status(500).json({ error: 'Failed to load public keys' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// GET /api/auth/keys  (admin)
+// ════════════════════════════════════════════════
+router.get('/', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      keys: await listSigningKeys(),
+      supportedAlgorithms: SUPPORTED_ALGORITHMS,
+    });
+  } catch (error) {
+    console.error('List signing keys error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list signing keys' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// POST /api/auth/keys/rotate  (admin)
+// Body: { algorithm? }  — 'HS256' (default), 'RS256', 'ES256' or 'EdDSA'
+// New tokens are signed with the new key at once; tokens signed with older
+// keys keep working until their key's verifyUntil.
+// ════════════════════════════════════════════════
+router.post('/rotate', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { algorithm } = req.body;
+    if (algorithm !== undefined && !SUPPORTED_ALGORITHMS.includes(algorithm)) {
+      return res.status(400).json({
+        success: false,
+        error: `algorithm must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`,
+      });
+    }
+
+    const key = await rotateSigningKey({ algorithm, createdBy: req.user.userId });
+    console.log(`🔑 Signing key rotated to ${key.kid} (${key.algorithm}) by ${req.user.email}`);
+
+    res.status(201).json({ success: true, key });
+  } catch (error) {
+    console.error('Rotate signing key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate signing key' });
+  }
+});
+
+// ════════════════════════════════════════════════
+// POST /api/auth/keys/:kid/retire  (admin)
+// Tokens signed with this key stop working immediately.
+// ════════════════════════════════════════════════
+router.post('/:kid/retire', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    let key;
+    try {
+      key = await retireSigningKey(req.params.kid);
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    if (!key) {
+      return res.status(404).json({ success: false, error: 'Key not found or already retired' });
+    }
+
+    console.log(`🔑 Signing key ${key.kid} retired by ${req.user.email}`);
+    res.json({ success: true, key });
+  } catch (error) {
+    console.error('Retire signing key error:', error);
+    res.status(500).json({ success: false, error: 'Failed to retire signing key' });
+  }
+});
+
+module.exports = router;
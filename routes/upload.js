@@ -2,9 +2,10 @@
 // Upload images, documents to Cloudinary
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
+const { verifyAccessToken } = require('../utils/tokens');
+const { verifyApiKey } = require('../utils/apiKeys');
 
 const router = express.Router();
 
@@ -45,14 +46,17 @@ const upload = multer({
 // ==========================================
 // MIDDLEWARE - Verify Token
 // ==========================================
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+  const apiKey = req.headers['x-api-key'];
+  if (!token && !apiKey) return res.status(401).json({ error: 'No token provided' });
 
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    // Integrations send a personal API key instead of a user JWT
+    req.user = apiKey ? await verifyApiKey(apiKey, req) : await verifyAccessToken(token, req);
     next();
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
     res.status(401).json({ error: 'Invalid token' });
   }
 };
@@ -2,21 +2,56 @@
 // Worker management, statistics
 
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
 const Request = require('../models/Request');
+const LoginEvent = require('../models/LoginEvent');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const Review = require('../models/Review');
+const WorkerInvite = require('../models/WorkerInvite');
+const PendingRegistration = require('../models/PendingRegistration');
+const { deleteUserAccount } = require('../utils/accountDeletion');
+const { recomputeWorkerRating } = require('../utils/reviews');
+const { recountAllWorkers } = require('../utils/workerCounters');
+const { verifyAccessToken, hashToken } = require('../utils/tokens');
+const { verifyApiKey } = require('../utils/apiKeys');
+const { sendWorkerInviteEmail } = require('../utils/mailer');
+const { validatePassword, passwordErrorResponse, describePolicy } = require('../utils/passwordPolicy');
 
 const router = express.Router();
 
+const INVITE_TTL_DAYS = 7;
+
+// Invite details are admin-entered text rendered into the accept form
+const escapeHtml = (str) => String(str).replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[c]));
+
+// createdAt filter for ?from=&to= on the admin logs — null if either date doesn't parse
+const createdAtRange = (from, to) => {
+  const range = {};
+  for (const [op, value] of [['$gte', from], ['$lte', to]]) {
+    if (!value) continue;
+    const date = typeof value === 'string' ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return null;
+    range[op] = date;
+  }
+  return range;
+};
+
 // Auth middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token' });
+  const apiKey = req.headers['x-api-key'];
+  if (!token && !apiKey) return res.status(401).json({ error: 'No token' });
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
+    // Integrations send a personal API key instead of a user JWT
+    req.user = apiKey ? await verifyApiKey(apiKey, req) : await verifyAccessToken(token, req);
     next();
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.code, message: error.message });
     res.status(401).json({ error: 'Invalid token' });
   }
 };
@@ -70,6 +105,7 @@ router.get('/worker-stats', authenticateToken, async (req, res) => {
     // Get worker profile for rating
     const worker = await User.findById(req.user.userId);
     const rating = worker?.workerProfile?.rating || 0;
+    const reviewCount = worker?.workerProfile?.reviewCount || 0;
 
     res.json({
       success: true,
@@ -78,7 +114,8 @@ router.get('/worker-stats', authenticateToken, async (req, res) => {
         assigned,
         inProgress,
         completed,
-        rating
+        rating,
+        reviewCount
       }
     });
 
@@ -163,48 +200,475 @@ router.get('/workers', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // ==========================================
-// CREATE WORKER (Admin only)
+// RECOUNT WORKER PROJECTS (Admin only)
+// Rebuilds activeProjects / completedProjects for every worker from the
+// Request collection — they are kept up to date automatically, this is
+// for repairing data from before that or after a failed update.
+// ==========================================
+router.post('/workers/recount', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { workers, updated } = await recountAllWorkers();
+    res.json({ success: true, message: `Recounted projects for ${workers} workers`, workers, updated });
+
+  } catch (error) {
+    console.error('Recount worker projects error:', error);
+    res.status(500).json({ success: false, error: 'Failed to recount worker projects' });
+  }
+});
+
+// ==========================================
+// GET WORKER REVIEWS
+// Query: ?limit=&page=&includeHidden=true (admin only)
+// ==========================================
+router.get('/workers/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid worker id' });
+    }
+
+    const worker = await User.findOne({ _id: req.params.id, role: 'worker' })
+      .select('fullName avatarUrl workerProfile.rating workerProfile.reviewCount');
+    if (!worker) {
+      return res.status(404).json({ success: false, error: 'Worker not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const query = { workerId: worker._id };
+    if (!(req.user.role === 'admin' && req.query.includeHidden === 'true')) {
+      query.isHidden = false;
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .select(req.user.role === 'admin' ? '' : '-hiddenReason -hiddenAt -hiddenBy')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      worker: {
+        _id: worker._id,
+        fullName: worker.fullName,
+        avatarUrl: worker.avatarUrl,
+        rating: worker.workerProfile?.rating || 0,
+        reviewCount: worker.workerProfile?.reviewCount || 0,
+      },
+      reviews,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
+
+  } catch (error) {
+    console.error('Get worker reviews error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get reviews' });
+  }
+});
+
+// ==========================================
+// HIDE / UNHIDE REVIEW (Admin only)
+// Body: { hidden: true|false, reason? } — hidden reviews don't count toward the rating
+// ==========================================
+router.put('/reviews/:reviewId/visibility', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { hidden, reason } = req.body;
+    if (typeof hidden !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'hidden must be true or false' });
+    }
+    if (!mongoose.isValidObjectId(req.params.reviewId)) {
+      return res.status(400).json({ success: false, error: 'Invalid review id' });
+    }
+
+    const update = hidden
+      ? {
+          isHidden: true,
+          hiddenReason: typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 500) : null,
+          hiddenAt: new Date(),
+          hiddenBy: req.user.userId,
+        }
+      : { isHidden: false, hiddenReason: null, hiddenAt: null, hiddenBy: null };
+
+    const review = await Review.findByIdAndUpdate(req.params.reviewId, { $set: update }, { new: true });
+    if (!review) {
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+
+    const { rating, reviewCount } = await recomputeWorkerRating(review.workerId);
+
+    res.json({
+      success: true,
+      message: hidden ? 'Review hidden' : 'Review restored',
+      review,
+      workerRating: rating,
+      reviewCount,
+    });
+
+  } catch (error) {
+    console.error('Update review visibility error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update review' });
+  }
+});
+
+// ==========================================
+// INVITE WORKER (Admin only)
+// Admin enters email, name and skills; the worker gets an email link and
+// chooses their own password on the hosted form below.
 // ==========================================
 router.post('/workers', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { email, password, fullName, skills, phone } = req.body;
+    const { email, fullName, skills, phone } = req.body;
+
+    if (!email || typeof email !== 'string' || !fullName) {
+      return res.status(400).json({ error: 'Please provide email and full name' });
+    }
+    const normalized = email.toLowerCase().trim();
 
     // Check if email exists
-    const existing = await User.findOne({ email });
+    const existing = await User.findOne({ email: normalized });
+    if (existing) {
+      return res.status(400).json({ error: 'Email already exists' });
+    }
+
+    const openInvite = await WorkerInvite.findOne({
+      email: normalized,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    });
+    if (openInvite) {
+      return res.status(400).json({
+        error: 'An invitation is already pending for this email. Resend it instead.',
+        inviteId: openInvite._id,
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invite = await WorkerInvite.create({
+      email: normalized,
+      fullName,
+      skills: skills || [],
+      phone: phone || null,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+      invitedBy: req.user.userId,
+    });
+
+    let emailSent = true;
+    try {
+      await sendWorkerInviteEmail(normalized, fullName, token, INVITE_TTL_DAYS);
+    } catch (mailErr) {
+      emailSent = false;
+      console.error('[Invite] BREVO ERROR:', JSON.stringify(mailErr, null, 2));
+    }
+
+    res.status(201).json({
+      message: emailSent
+        ? 'Invitation sent successfully'
+        : 'Invitation created, but the email could not be sent. Try resending it.',
+      emailSent,
+      invite,
+    });
+
+  } catch (error) {
+    console.error('Invite worker error:', error);
+    res.status(500).json({ error: 'Failed to invite worker' });
+  }
+});
+
+// ==========================================
+// LIST WORKER INVITES (Admin only)
+// Query: ?status=pending|accepted|revoked|expired
+// ==========================================
+router.get('/invites', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status === 'expired') {
+      query.status = 'pending';
+      query.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      query.status = 'pending';
+      query.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const invites = await WorkerInvite.find(query).sort({ createdAt: -1 });
+
+    res.json({ success: true, invites });
+
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: 'Failed to get invites' });
+  }
+});
+
+// ==========================================
+// RESEND WORKER INVITE (Admin only)
+// Issues a fresh link (the old one stops working) and restarts the expiry
+// ==========================================
+router.post('/invites/:id/resend', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const invite = await WorkerInvite.findById(req.params.id);
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    if (invite.status !== 'pending') {
+      return res.status(400).json({ error: `Invite has already been ${invite.status}` });
+    }
+
+    const existing = await User.findOne({ email: invite.email });
     if (existing) {
       return res.status(400).json({ error: 'Email already exists' });
     }
 
-    // Hash password
+    const token = crypto.randomBytes(32).toString('hex');
+    invite.tokenHash = hashToken(token);
+    invite.expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+    invite.sendCount += 1;
+    invite.lastSentAt = new Date();
+    await invite.save();
+
+    try {
+      await sendWorkerInviteEmail(invite.email, invite.fullName, token, INVITE_TTL_DAYS);
+    } catch (mailErr) {
+      console.error('[Invite] BREVO ERROR:', JSON.stringify(mailErr, null, 2));
+      return res.status(502).json({ error: 'Could not send the invitation email. Please try again.' });
+    }
+
+    res.json({ message: 'Invitation resent', invite });
+
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({ error: 'Failed to resend invite' });
+  }
+});
+
+// ==========================================
+// REVOKE WORKER INVITE (Admin only)
+// ==========================================
+router.delete('/invites/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const invite = await WorkerInvite.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { $set: { status: 'revoked' } },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({ error: 'No pending invite found' });
+    }
+
+    res.json({ message: 'Invitation revoked', invite });
+
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// ==========================================
+// ACCEPT INVITE FORM - Web page served from the invite email link
+// GET /api/users/invites/accept-form?token=...
+// ==========================================
+router.get('/invites/accept-form', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    const invite = token && typeof token === 'string'
+      ? await WorkerInvite.findOne({
+        tokenHash: hashToken(token),
+        status: 'pending',
+        expiresAt: { $gt: new Date() },
+      })
+      : null;
+
+    if (!invite) {
+      return res.status(400).send(`
+        <html><body style="font-family:-apple-system,sans-serif;text-align:center;padding:60px;background:#f5f5f5">
+          <div style="max-width:480px;margin:0 auto;background:#fff;border-radius:16px;padding:48px;box-shadow:0 4px 24px rgba(0,0,0,0.08)">
+            <div style="font-size:56px;margin-bottom:16px">⏰</div>
+            <h2 style="color:#e53e3e;margin:0 0 12px">Invitation Unavailable</h2>
+            <p style="color:#555">This invitation has expired, was revoked, or was already used.<br/>Ask your Nestoric admin to send a new one.</p>
+          </div>
+        </body></html>
+      `);
+    }
+
+    const baseUrl = process.env.BACKEND_URL || 'https://nestoric-backend.onrender.com';
+    const { minLength } = describePolicy(); // the server re-checks every other rule
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8"/>
+        <meta name="viewport" content="width=device-width, initial-scale=1"/>
+        <title>Join Nestoric</title>
+        <style>
+          * { box-sizing: border-box; }
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f5f5f5; margin: 0; padding: 20px; }
+          .container { max-width: 420px; margin: 40px auto; background: #fff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 24px rgba(0,0,0,0.08); }
+          .header { background: linear-gradient(135deg, #6C63FF, #9C93FF); padding: 32px; text-align: center; }
+          .header h1 { color: #fff; margin: 0; font-size: 24px; font-weight: 800; }
+          .header p { color: rgba(255,255,255,0.9); margin: 6px 0 0; font-size: 14px; }
+          .body { padding: 32px; }
+          .body p { color: #555; font-size: 15px; margin: 0 0 20px; }
+          label { display: block; font-size: 13px; font-weight: 600; color: #333; margin-bottom: 6px; }
+          input[type=password] { width: 100%; padding: 12px 14px; border: 1.5px solid #e0e0e0; border-radius: 10px; font-size: 15px; outline: none; transition: border 0.2s; }
+          input[type=password]:focus { border-color: #6C63FF; }
+          .gap { height: 16px; }
+          button { width: 100%; padding: 14px; background: linear-gradient(135deg, #6C63FF, #9C93FF); color: #fff; border: none; border-radius: 10px; font-size: 16px; font-weight: 700; cursor: pointer; margin-top: 24px; }
+          button:hover { opacity: 0.9; }
+          .error { color: #e53e3e; font-size: 13px; margin-top: 8px; display: none; }
+          .success-box { text-align: center; padding: 32px; display: none; }
+          .success-box .icon { font-size: 56px; margin-bottom: 12px; }
+          .success-box h2 { color: #38a169; margin: 0 0 10px; }
+          .success-box p { color: #555; font-size: 15px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Welcome, ${escapeHtml(invite.fullName)}</h1>
+            <p>Join the Nestoric team</p>
+          </div>
+          <div class="body">
+            <div id="form-section">
+              <p>Choose a password for <strong>${escapeHtml(invite.email)}</strong>.</p>
+              <label for="newPassword">Password</label>
+              <input type="password" id="newPassword" placeholder="At least ${minLength} characters" minlength="${minLength}"/>
+              <div class="gap"></div>
+              <label for="confirmPassword">Confirm Password</label>
+              <input type="password" id="confirmPassword" placeholder="Repeat your password"/>
+              <div class="error" id="error-msg"></div>
+              <button onclick="submitInvite()">Activate Account</button>
+            </div>
+            <div class="success-box" id="success-section">
+              <div class="icon">✅</div>
+              <h2>You're all set!</h2>
+              <p>Your account is active.<br/>Open the Nestoric app and sign in with your email and new password.</p>
+            </div>
+          </div>
+        </div>
+
+        <script>
+          async function submitInvite() {
+            const password = document.getElementById('newPassword').value;
+            const confirmPassword = document.getElementById('confirmPassword').value;
+            const errorMsg = document.getElementById('error-msg');
+
+            errorMsg.style.display = 'none';
+
+            if (password.length < ${minLength}) {
+              errorMsg.textContent = 'Password must be at least ${minLength} characters.';
+              errorMsg.style.display = 'block';
+              return;
+            }
+            if (password !== confirmPassword) {
+              errorMsg.textContent = 'Passwords do not match.';
+              errorMsg.style.display = 'block';
+              return;
+            }
+
+            try {
+              const res = await fetch('${baseUrl}/api/users/invites/accept', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: ${JSON.stringify(token)}, password }),
+              });
+              const data = await res.json();
+
+              if (res.ok) {
+                document.getElementById('form-section').style.display = 'none';
+                document.getElementById('success-section').style.display = 'block';
+              } else {
+                errorMsg.textContent = data.error || 'Something went wrong. Please try again.';
+                errorMsg.style.display = 'block';
+              }
+            } catch (e) {
+              errorMsg.textContent = 'Network error. Please check your connection.';
+              errorMsg.style.display = 'block';
+            }
+          }
+        </script>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('Invite accept form error:', error);
+    res.status(500).send('<h2>Something went wrong. Please try again.</h2>');
+  }
+});
+
+// ==========================================
+// ACCEPT INVITE - Worker sets their password; the account is created now
+// ==========================================
+router.post('/invites/accept', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string' || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    const invite = await WorkerInvite.findOne({
+      tokenHash: hashToken(token),
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    });
+    if (!invite) {
+      return res.status(400).json({ error: 'This invitation is invalid or has expired.' });
+    }
+
+    const passwordCheck = validatePassword(password, { email: invite.email, fullName: invite.fullName });
+    if (!passwordCheck.valid) {
+      return res.status(400).json(passwordErrorResponse(passwordCheck.errors));
+    }
+
+    const existing = await User.findOne({ email: invite.email });
+    if (existing) {
+      return res.status(400).json({ error: 'An account with this email already exists. Please sign in.' });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create worker — admin-created accounts are pre-verified (no email verification needed)
+    // Invited workers are pre-verified — the invite link proved the inbox
     const worker = await User.create({
-      email,
+      email: invite.email,
       password: hashedPassword,
-      fullName,
+      authProviders: ['local'],
+      fullName: invite.fullName,
       role: 'worker',
       isEmailVerified: true,
       workerProfile: {
-        skills: skills || [],
-        phone,
+        skills: invite.skills,
+        phone: invite.phone,
         isAvailable: true
       }
     });
 
-    res.status(201).json({
-      message: 'Worker created successfully',
-      worker: {
-        id: worker._id,
-        email: worker.email,
-        fullName: worker.fullName,
-        workerProfile: worker.workerProfile
-      }
-    });
+    invite.status = 'accepted';
+    invite.acceptedAt = new Date();
+    invite.acceptedUserId = worker._id;
+    await invite.save();
+
+    // A half-finished client sign-up for the same inbox would now collide
+    await PendingRegistration.deleteOne({ email: invite.email });
+
+    res.status(201).json({ message: 'Account activated. You can now sign in.' });
 
   } catch (error) {
-    console.error('Create worker error:', error);
-    res.status(500).json({ error: 'Failed to create worker' });
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'An account with this email already exists. Please sign in.' });
+    }
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
   }
 });
 
@@ -242,7 +706,13 @@ router.put('/workers/:id', authenticateToken, isAdmin, async (req, res) => {
 // ==========================================
 router.delete('/workers/:id', authenticateToken, isAdmin, async (req, res) => {
   try {
-    await User.findByIdAndDelete(req.params.id);
+    const worker = await User.findOne({ _id: req.params.id, role: 'worker' }).select('_id');
+    if (!worker) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+
+    // Same cleanup as self-service deletion: anonymise history, unassign open tasks
+    await deleteUserAccount(worker._id);
     res.json({ message: 'Worker deleted successfully' });
 
   } catch (error) {
@@ -251,6 +721,109 @@ router.delete('/workers/:id', authenticateToken, isAdmin, async (req, res) => {
   }
 });
 
+// ==========================================
+// GET LOGIN EVENTS (Admin only)
+// Query: ?userId=&email=&success=true|false&reason=&ip=&from=&to=&limit=
+// ==========================================
+router.get('/login-events', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { userId, email, success, reason, ip, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const query = {};
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) {
+        return res.status(400).json({ success: false, error: 'Invalid userId' });
+      }
+      query.userId = userId;
+    }
+    if (email) query.email = String(email).toLowerCase().trim();
+    if (success === 'true' || success === 'false') query.success = success === 'true';
+    if (reason) query.reason = reason;
+    if (ip) query.ip = ip;
+    if (from || to) {
+      const range = createdAtRange(from, to);
+      if (!range) {
+        return res.status(400).json({ success: false, error: 'from and to must be valid dates, e.g. 2024-05-01' });
+      }
+      query.createdAt = range;
+    }
+
+    const events = await LoginEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, events, count: events.length });
+
+  } catch (error) {
+    console.error('Get login events error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get login events' });
+  }
+});
+
+// ==========================================
+// GET IMPERSONATION LOGS (Admin only)
+// Query: ?adminId=&targetUserId=&from=&to=&limit=
+// ==========================================
+router.get('/impersonation-logs', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { adminId, targetUserId, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = {};
+    for (const [field, value] of [['adminId', adminId], ['targetUserId', targetUserId]]) {
+      if (!value) continue;
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({ success: false, error: `Invalid ${field}` });
+      }
+      query[field] = value;
+    }
+    if (from || to) {
+      const range = createdAtRange(from, to);
+      if (!range) {
+        return res.status(400).json({ success: false, error: 'from and to must be valid dates, e.g. 2024-05-01' });
+      }
+      query.createdAt = range;
+    }
+
+    const logs = await ImpersonationLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ success: true, logs, count: logs.length });
+
+  } catch (error) {
+    console.error('Get impersonation logs error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get impersonation logs' });
+  }
+});
+
+// ==========================================
+// UNLOCK ACCOUNT (Admin only)
+// Clears a lockout caused by repeated failed sign-ins
+// ==========================================
+router.post('/:id/unlock', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { failedLoginAttempts: 0, lockCount: 0, lockUntil: null } },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'Account unlocked', user });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Failed to unlock account' });
+  }
+});
+
 // ==========================================
 // GET STATISTICS - Dashboard stats (ADMIN)
 // ==========================================
@@ -22,6 +22,10 @@ dotenv.config(); // Reads .env file and loads variables
 
 const app = express(); // This is your server!
 
+// Render sits behind one proxy — trust it so req.ip is the real client IP
+// (used by the rate limiters and the "Active devices" list)
+app.set('trust proxy', 1);
+
 // ==========================================
 // STEP 4: Middleware (runs before routes)
 // ==========================================
@@ -42,7 +46,7 @@ app.use(cors({
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
 }));
 
 // Parse JSON data from requests
@@ -59,6 +63,9 @@ mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('✅ Connected to MongoDB!');
     console.log('📊 Database:', mongoose.connection.name);
+
+    // Assignment expiry, SLA reminders and escalation
+    require('./utils/scheduler').startBackgroundJobs();
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error);
@@ -141,6 +148,33 @@ try {
   console.log('⚠️  Notification routes not found - skipping:', error.message);
 }
 
+// ✅ Two-factor authentication routes
+try {
+  const mfaRoutes = require('./routes/mfa');
+  app.use('/api/auth/mfa', mfaRoutes);
+  console.log('✅ MFA routes loaded');
+} catch (error) {
+  console.log('⚠️  MFA routes not found - skipping:', error.message);
+}
+
+// ✅ JWT signing key rotation + public JWK Set
+try {
+  const signingKeyRoutes = require('./routes/signingKeys');
+  app.use('/api/auth/keys', signingKeyRoutes);
+  console.log('✅ Signing key routes loaded');
+} catch (error) {
+  console.log('⚠️  Signing key routes not found - skipping:', error.message);
+}
+
+// ✅ Personal API keys (integrations)
+try {
+  const apiKeyRoutes = require('./routes/apiKeys');
+  app.use('/api/auth/api-keys', apiKeyRoutes);
+  console.log('✅ API key routes loaded');
+} catch (error) {
+  console.log('⚠️  API key routes not found - skipping:', error.message);
+}
+
 // Connect routes if they exist
 if (authRoutes) {
   app.use('/api/auth', authRoutes);
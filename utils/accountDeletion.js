@@ -0,0 +1,138 @@
+// utils/accountDeletion.js — The single path for removing a user account
+// Used by self-service deletion (DELETE /api/auth/me) and by admins
+// (DELETE /api/users/workers/:id) so both clean up exactly the same way.
+'use strict';
+
+const User = require('../models/User');
+const Request = require('../models/Request');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const MagicLink = require('../models/MagicLink');
+const LoginEvent = require('../models/LoginEvent');
+const ApiKey = require('../models/ApiKey');
+const PhoneOtp = require('../models/PhoneOtp');
+const Review = require('../models/Review');
+const { notify } = require('./fcm');
+
+// What other participants see in place of the removed user's name
+const DELETED_USER_NAME = 'Deleted user';
+
+/**
+ * Delete a user and scrub their identity from shared records.
+ * Requests and Messages are kept (they're payment/work history for the other
+ * side) but no longer carry the user's name or avatar.
+ *
+ * @param {string|ObjectId} userId
+ * @returns {Promise<boolean>} false if the user didn't exist
+ */
+async function deleteUserAccount(userId) {
+  const user = await User.findById(userId).select('_id email role fcmToken');
+  if (!user) return false;
+
+  // 1. Stop pushes and sign out every device first, so nothing can act
+  //    as this user while the rest of the cleanup runs
+  await User.updateOne({ _id: user._id }, { $set: { fcmToken: null } });
+  await Session.deleteMany({ userId: user._id });
+  await MagicLink.deleteMany({ userId: user._id });
+  await ApiKey.deleteMany({ userId: user._id });
+  await PhoneOtp.deleteMany({ userId: user._id });
+
+  // 2. Anonymise shared history
+  await Request.updateMany(
+    { clientId: user._id },
+    { $set: { clientName: DELETED_USER_NAME, clientAvatar: null } }
+  );
+  await Message.updateMany(
+    { senderId: user._id },
+    { $set: { senderName: DELETED_USER_NAME } }
+  );
+  await Review.updateMany(
+    { clientId: user._id },
+    { $set: { clientName: DELETED_USER_NAME } }
+  );
+
+  // A removed worker can't finish their open tasks — send them back to the admin queue
+  // (pipeline update so each request's own previous status lands in statusHistory).
+  // Any open offer goes too, like unassignWorker() in utils/requestStatus.js.
+  const reopened = await Request.find({ assignedWorkerId: user._id, status: { $nin: Request.CLOSED_STATUSES } })
+    .select('_id clientId services')
+    .lean();
+  await Request.updateMany(
+    { _id: { $in: reopened.map((r) => r._id) }, assignedWorkerId: user._id },
+    [{
+      $set: {
+        statusHistory: {
+          $concatArrays: [
+            { $ifNull: ['$statusHistory', []] },
+            [{
+              from: '$status',
+              to: 'pending',
+              actorId: null,
+              actorRole: 'system',
+              reason: 'Assigned worker account was deleted',
+              at: '$$NOW',
+            }],
+          ],
+        },
+        assignedWorkerId: null,
+        assignedWorkerName: null,
+        assignmentResponse: null,
+        assignmentExpiresAt: null,
+        assignmentAcceptedAt: null,
+        status: 'pending',
+      },
+    }]
+  );
+  await Request.updateMany(
+    { assignedWorkerId: user._id },
+    { $set: { assignedWorkerName: DELETED_USER_NAME } }
+  );
+
+  // 3. Drop data that only ever belonged to this user
+  await Notification.deleteMany({ userId: user._id });
+  await Review.deleteMany({ workerId: user._id });
+  await LoginEvent.deleteMany({ $or: [{ userId: user._id }, { email: user.email }] });
+
+  // 4. Finally the account itself
+  await User.deleteOne({ _id: user._id });
+
+  console.log(`🗑️  Account deleted: ${user._id} (${user.role})`);
+
+  if (reopened.length) await notifyReopenedRequests(reopened);
+  return true;
+}
+
+// Tell each client, and the admins, that requests lost their worker. Never throws.
+async function notifyReopenedRequests(requests) {
+  try {
+    for (const request of requests) {
+      const client = await User.findById(request.clientId).select('_id fcmToken').lean();
+      if (!client) continue;
+      await notify({
+        userId:   client._id,
+        title:    'Request Pending',
+        body:     `Your request for ${(request.services || []).slice(0, 2).join(', ')} is back in the queue — its worker is no longer available. We'll assign someone new.`,
+        type:     'status_updated',
+        data:     { requestId: request._id.toString(), status: 'pending' },
+        fcmToken: client.fcmToken,
+      });
+    }
+
+    const admins = await User.find({ role: 'admin' }).select('_id fcmToken').lean();
+    for (const admin of admins) {
+      await notify({
+        userId:   admin._id,
+        title:    '👤 Worker Removed',
+        body:     `${requests.length} open request${requests.length === 1 ? '' : 's'} went back to the queue after a worker account was deleted.`,
+        type:     'assignment_declined',
+        data:     { requestIds: requests.map((r) => r._id.toString()).join(',') },
+        fcmToken: admin.fcmToken,
+      });
+    }
+  } catch (notifErr) {
+    console.warn('Account deletion notification error (non-fatal):', notifErr.message);
+  }
+}
+
+module.exports = { deleteUserAccount, DELETED_USER_NAME };
@@ -0,0 +1,92 @@
+// utils/apiKeys.js — Personal API keys (X-API-Key header)
+// Keys look like "nst_<8 hex>_<secret>". The "nst_<8 hex>" part is the
+// prefix stored in clear for identification; the whole key is only stored hashed.
+'use strict';
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { hashToken } = require('./tokens');
+
+const KEY_PREFIX = 'nst_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Which scope area each router belongs to (by mount path). Routes outside
+// this map — notably /api/auth — never accept API keys.
+const SCOPE_AREAS = {
+  '/api/requests': 'requests',
+  '/api/pricing': 'pricing',
+  '/api/users': 'users',
+  '/api/chat': 'chat',
+  '/api/notifications': 'notifications',
+  '/api/upload': 'uploads',
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function apiKeyError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/** New random key. Show `key` to the user once; store `prefix` and `keyHash`. */
+function generateApiKey() {
+  const prefix = KEY_PREFIX + crypto.randomBytes(4).toString('hex');
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix, keyHash: hashToken(key) };
+}
+
+/** The scope a request needs, e.g. "requests:read" — null if API keys aren't allowed there. */
+function requiredScope(req) {
+  const area = SCOPE_AREAS[req.baseUrl];
+  if (!area) return null;
+  return `${area}:${READ_METHODS.includes(req.method) ? 'read' : 'write'}`;
+}
+
+/**
+ * Authenticate a request made with an API key and check its scope.
+ * Throws an error carrying `status` and `code` on any failure.
+ * @returns {Promise<object>} req.user for the key's owner ({ userId, email, role, apiKeyId, scopes })
+ */
+async function verifyApiKey(key, req) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+    throw apiKeyError(401, 'INVALID_API_KEY', 'Invalid API key');
+  }
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey || !apiKey.isActive()) {
+    throw apiKeyError(401, 'INVALID_API_KEY', 'Invalid, expired or revoked API key');
+  }
+
+  const scope = requiredScope(req);
+  if (!scope) {
+    throw apiKeyError(403, 'API_KEY_NOT_ALLOWED', 'API keys cannot be used for this endpoint');
+  }
+  if (!apiKey.scopes.includes(scope)) {
+    throw apiKeyError(403, 'INSUFFICIENT_SCOPE', `This API key needs the "${scope}" scope`);
+  }
+
+  const user = await User.findById(apiKey.userId).select('email role');
+  if (!user) {
+    throw apiKeyError(401, 'INVALID_API_KEY', 'Invalid, expired or revoked API key');
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || null } }
+    ).catch((err) => console.warn('API key lastUsedAt update failed (non-fatal):', err.message));
+  }
+
+  return {
+    userId: user._id.toString(),
+    email: user.email,
+    role: user.role,
+    apiKeyId: apiKey._id.toString(),
+    scopes: apiKey.scopes,
+  };
+}
+
+module.exports = { generateApiKey, verifyApiKey, requiredScope };
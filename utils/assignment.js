@@ -0,0 +1,339 @@
+// utils/assignment.js — Ranking workers for a request and auto-assigning
+// Score (0–100) = weighted mix of
+//   skill  — share of the request's services found in workerProfile.skills
+//   load   — how far the worker is from AssignmentSettings.maxActiveProjects
+//   rating — workerProfile.rating out of 5 (unrated workers count as neutral)
+// Premium requests get a dedicated worker: one with no other active project.
+//
+// An assignment is an offer: the worker accepts or declines it within
+// AssignmentSettings.acceptWindowMinutes, and unanswered offers are expired
+// by a background job (utils/scheduler.js).
+'use strict';
+
+const Request = require('../models/Request');
+const User = require('../models/User');
+const AssignmentSettings = require('../models/AssignmentSettings');
+const { notify } = require('./fcm');
+const { changeStatus, recordStatusEvent, SYSTEM_ACTOR } = require('./requestStatus');
+const { refreshWorkerCounters } = require('./workerCounters');
+
+// Plans whose requests should go to a worker with nothing else on their plate
+const DEDICATED_PLANS = ['premium'];
+
+// Rating used for workers nobody has reviewed yet, so they aren't buried
+const NEUTRAL_RATING = 3;
+
+const normalise = (s) => String(s).trim().toLowerCase();
+
+/**
+ * Available workers ranked best-first for this request. Workers who are
+ * marked unavailable or already at maxActiveProjects are left out.
+ * @param {object} request - Request document or plain object
+ * @param {{ settings?: object, limit?: number }} [options]
+ * @returns {Promise<object[]>} suggestions with the score breakdown
+ */
+async function rankWorkers(request, { settings, limit } = {}) {
+  settings = settings || await AssignmentSettings.getSettings();
+  const { weights, maxActiveProjects } = settings;
+  const weightSum = (weights.skill + weights.load + weights.rating) || 1;
+
+  const services = (request.services || []).map(normalise);
+  const needsDedicated = DEDICATED_PLANS.includes(request.plan);
+
+  const workers = await User.find({
+    role: 'worker',
+    'workerProfile.isAvailable': { $ne: false },
+    'workerProfile.activeProjects': { $not: { $gte: maxActiveProjects } },
+  }).select('fullName avatarUrl workerProfile').lean();
+
+  const suggestions = workers.map((worker) => {
+    const profile = worker.workerProfile || {};
+    const skills = new Set((profile.skills || []).map(normalise));
+    const matchedSkills = (request.services || []).filter((s) => skills.has(normalise(s)));
+    const activeProjects = profile.activeProjects || 0;
+    const rated = (profile.reviewCount || 0) > 0;
+
+    const breakdown = {
+      skill:  services.length ? matchedSkills.length / services.length : 0,
+      load:   1 - activeProjects / maxActiveProjects,
+      rating: (rated ? profile.rating : NEUTRAL_RATING) / 5,
+    };
+    const score = (
+      weights.skill * breakdown.skill +
+      weights.load * breakdown.load +
+      weights.rating * breakdown.rating
+    ) / weightSum;
+
+    return {
+      workerId: worker._id,
+      fullName: worker.fullName,
+      avatarUrl: worker.avatarUrl,
+      skills: profile.skills || [],
+      matchedSkills,
+      activeProjects,
+      rating: profile.rating || 0,
+      reviewCount: profile.reviewCount || 0,
+      dedicated: activeProjects === 0,
+      isCurrent: request.assignedWorkerId?.toString() === worker._id.toString(),
+      declinedBefore: (request.declinedWorkerIds || []).some((id) => id.toString() === worker._id.toString()),
+      score: Math.round(score * 100),
+      breakdown: {
+        skill:  Math.round(breakdown.skill * 100),
+        load:   Math.round(breakdown.load * 100),
+        rating: Math.round(breakdown.rating * 100),
+      },
+    };
+  });
+
+  suggestions.sort((a, b) =>
+    (needsDedicated ? Number(b.dedicated) - Number(a.dedicated) : 0) ||
+    b.score - a.score ||
+    a.activeProjects - b.activeProjects
+  );
+
+  return limit ? suggestions.slice(0, limit) : suggestions;
+}
+
+// Best suggestion that may be assigned without an admin looking: covers
+// minSkillMatch of the services, hasn't turned this request down, isn't
+// already on it, and is free when the plan needs a dedicated worker.
+async function pickWorker(request, settings) {
+  const needsDedicated = DEDICATED_PLANS.includes(request.plan);
+  const serviceCount = (request.services || []).length || 1;
+  const ranked = await rankWorkers(request, { settings });
+  return ranked.find((s) =>
+    !s.declinedBefore && !s.isCurrent &&
+    s.matchedSkills.length / serviceCount >= settings.minSkillMatch &&
+    (!needsDedicated || s.dedicated)
+  ) || null;
+}
+
+/**
+ * Offer the request to a worker: sets the worker, moves it to "assigned"
+ * and starts the accept window. Mutates the document only — the caller saves.
+ * @param {object} request
+ * @param {{ _id?: *, workerId?: *, fullName: string }} worker - User or suggestion
+ * @param {object} actor - req.user or SYSTEM_ACTOR
+ * @param {{ reason?: string, settings?: object }} [options]
+ */
+async function offerToWorker(request, worker, actor, { reason, settings } = {}) {
+  settings = settings || await AssignmentSettings.getSettings();
+
+  const previousWorkerName = request.assignedWorkerName;
+
+  request.assignedWorkerId = worker._id || worker.workerId;
+  request.assignedWorkerName = worker.fullName;
+  // Already "assigned" is no status change, but the timeline should still
+  // show the request moving to another worker
+  if (!changeStatus(request, 'assigned', actor, { reason })) {
+    recordStatusEvent(request, actor, reason || `Reassigned from ${previousWorkerName} to ${worker.fullName}`);
+  }
+  request.assignmentResponse = 'awaiting';
+  request.assignmentAcceptedAt = null;
+  request.assignmentExpiresAt = new Date(Date.now() + settings.acceptWindowMinutes * 60 * 1000);
+}
+
+/**
+ * After a status change made outside accept/decline: leaving "assigned"
+ * ends the accept window. Starting work counts as accepting.
+ */
+function settleAssignmentResponse(request) {
+  if (request.status === 'assigned' || request.assignmentResponse !== 'awaiting') return;
+  request.assignmentResponse = request.status === 'in_progress' ? 'accepted' : null;
+  if (request.assignmentResponse === 'accepted') request.assignmentAcceptedAt = new Date();
+  request.assignmentExpiresAt = null;
+}
+
+// Tell a newly assigned worker about their task and how long they have to
+// answer. Never throws.
+async function notifyAssignedWorker(request) {
+  try {
+    const svcStr = (request.services || []).slice(0, 2).join(', ');
+    const worker = await User.findById(request.assignedWorkerId).select('_id fcmToken').lean();
+    if (worker) {
+      const answerBy = request.assignmentExpiresAt
+        ? ` Please accept or decline by ${request.assignmentExpiresAt.toUTCString()}.`
+        : '';
+      await notify({
+        userId:   worker._id,
+        title:    '🔧 New Task Assigned',
+        body:     `You've been assigned a request for ${svcStr}.${answerBy}`,
+        type:     'request_assigned',
+        data:     { requestId: request._id.toString() },
+        fcmToken: worker.fcmToken,
+      });
+    }
+  } catch (notifErr) {
+    console.warn('Notification error (non-fatal):', notifErr.message);
+  }
+}
+
+async function notifyAdmins({ title, body, type, data }) {
+  try {
+    const admins = await User.find({ role: 'admin' }).select('_id fcmToken').lean();
+    for (const admin of admins) {
+      await notify({ userId: admin._id, title, body, type, data, fcmToken: admin.fcmToken });
+    }
+  } catch (notifErr) {
+    console.warn('Admin notification error (non-fatal):', notifErr.message);
+  }
+}
+
+/**
+ * Assign the best-ranked worker if auto-assign is switched on and someone
+ * qualifies (covers minSkillMatch of the services and, for dedicated plans,
+ * has no other active project). Saves the request.
+ * @param {object} request - Request document, status pending
+ * @returns {Promise<object|null>} the chosen suggestion, or null if nobody was assigned
+ */
+async function autoAssignRequest(request) {
+  const settings = await AssignmentSettings.getSettings();
+  if (!settings.autoAssign || request.status !== 'pending' || request.assignedWorkerId) return null;
+
+  const pick = await pickWorker(request, settings);
+  if (!pick) return null;
+
+  await offerToWorker(request, pick, SYSTEM_ACTOR, {
+    reason: `Auto-assigned to ${pick.fullName} (score ${pick.score})`,
+    settings,
+  });
+  await request.save();
+  await refreshWorkerCounters(pick.workerId);
+
+  return pick;
+}
+
+/**
+ * Take the request back from a worker who declined it or let the offer
+ * expire, then send it to the admin queue or the next suggested worker
+ * (AssignmentSettings.reassignTo). Saves the request and notifies admins,
+ * the worker it left (on expiry) and the worker it goes to.
+ * @param {object} request - Request document, status assigned
+ * @param {object} actor   - the declining worker (req.user) or SYSTEM_ACTOR on expiry
+ * @param {{ reason: string, expired?: boolean }} options
+ * @returns {Promise<object|null>} the next worker's suggestion, or null if back in the queue
+ */
+async function releaseAssignment(request, actor, { reason, expired = false }) {
+  const settings = await AssignmentSettings.getSettings();
+  const previousWorkerId = request.assignedWorkerId;
+  const previousWorkerName = request.assignedWorkerName;
+
+  // Also unassigns the worker and clears the offer
+  changeStatus(request, 'pending', actor, { reason, via: 'decline' });
+  request.declinedWorkerIds.addToSet(previousWorkerId);
+
+  let next = null;
+  if (settings.reassignTo === 'next_suggestion') {
+    next = await pickWorker(request, settings);
+    if (next) {
+      await offerToWorker(request, next, SYSTEM_ACTOR, {
+        reason: `Reassigned to ${next.fullName} after ${previousWorkerName} ${expired ? 'did not answer' : 'declined'}`,
+        settings,
+      });
+    }
+  }
+
+  await request.save();
+  await refreshWorkerCounters(previousWorkerId, next?.workerId);
+
+  const svcStr = (request.services || []).slice(0, 2).join(', ');
+  await notifyAdmins({
+    title: expired ? '⏰ Assignment Expired' : '🙅 Assignment Declined',
+    body:  `${previousWorkerName} ${expired ? 'did not answer' : 'declined'} the request for ${svcStr}. ` +
+           (next ? `It was offered to ${next.fullName}.` : 'It is back in the queue.'),
+    type:  'assignment_declined',
+    data:  { requestId: request._id.toString() },
+  });
+
+  if (expired) {
+    try {
+      const worker = await User.findById(previousWorkerId).select('_id fcmToken').lean();
+      if (worker) {
+        await notify({
+          userId:   worker._id,
+          title:    '⏰ Assignment Expired',
+          body:     `You didn't answer the assignment for ${svcStr} in time, so it was given back.`,
+          type:     'status_updated',
+          data:     { requestId: request._id.toString(), status: 'pending' },
+          fcmToken: worker.fcmToken,
+        });
+      }
+    } catch (notifErr) {
+      console.warn('Notification error (non-fatal):', notifErr.message);
+    }
+  }
+
+  if (next) await notifyAssignedWorker(request);
+  return next;
+}
+
+/**
+ * Undo the claim taken before releaseAssignment when the release fails, so
+ * the request isn't left assigned to a worker nobody expects an answer from.
+ * Does nothing if the request has moved on since.
+ * @param {object} request  - the claimed request
+ * @param {{ assignmentResponse: string|null, assignmentExpiresAt: Date|null }} previous - values before the claim
+ */
+async function restoreAssignmentClaim(request, previous) {
+  try {
+    await Request.updateOne(
+      { _id: request._id, assignedWorkerId: request.assignedWorkerId, status: 'assigned', assignmentResponse: null },
+      { $set: { assignmentResponse: previous.assignmentResponse, assignmentExpiresAt: previous.assignmentExpiresAt } }
+    );
+  } catch (restoreErr) {
+    console.error(`Could not restore the assignment on request ${request._id}:`, restoreErr.message);
+  }
+}
+
+/**
+ * Release every assignment whose accept window has passed. Each request is
+ * claimed with a conditional update first, so an accept arriving at the same
+ * moment wins or loses cleanly.
+ * @returns {Promise<number>} how many assignments expired
+ */
+async function expireUnansweredAssignments() {
+  const now = new Date();
+  const due = await Request.find({
+    status: 'assigned',
+    assignmentResponse: 'awaiting',
+    assignmentExpiresAt: { $lte: now },
+  }).select('_id assignedWorkerId').limit(100).lean();
+
+  let expired = 0;
+  for (const { _id, assignedWorkerId } of due) {
+    let request = null;
+    let previous;
+    try {
+      request = await Request.findOneAndUpdate(
+        { _id, assignedWorkerId, status: 'assigned', assignmentResponse: 'awaiting', assignmentExpiresAt: { $lte: now } },
+        { $set: { assignmentResponse: null } },
+        { new: true }
+      );
+      if (!request) continue;
+      previous = { assignmentResponse: 'awaiting', assignmentExpiresAt: request.assignmentExpiresAt };
+
+      await releaseAssignment(request, SYSTEM_ACTOR, {
+        reason: `${request.assignedWorkerName} did not accept the assignment in time`,
+        expired: true,
+      });
+      expired++;
+    } catch (err) {
+      console.error(`Assignment expiry failed for request ${_id}:`, err.message);
+      // Put it back as awaiting so the next sweep tries again
+      if (previous) await restoreAssignmentClaim({ _id, assignedWorkerId }, previous);
+    }
+  }
+  return expired;
+}
+
+module.exports = {
+  DEDICATED_PLANS,
+  rankWorkers,
+  offerToWorker,
+  settleAssignmentResponse,
+  notifyAssignedWorker,
+  autoAssignRequest,
+  releaseAssignment,
+  restoreAssignmentClaim,
+  expireUnansweredAssignments,
+};
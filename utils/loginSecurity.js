@@ -0,0 +1,115 @@
+// utils/loginSecurity.js — Per-account lockout and sign-in event logging
+// The IP-based loginLimiter can't stop a distributed attack on one email,
+// so failures are also counted on the User document itself.
+'use strict';
+
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+const { sendAccountLockedEmail } = require('./mailer');
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = 15;        // first lock: 15 min, then 30, 60, …
+const MAX_LOCK_MINUTES = 24 * 60;    // never longer than a day
+
+function isLocked(user) {
+  return !!(user.lockUntil && user.lockUntil > new Date());
+}
+
+/** Minutes (rounded up) until a locked account opens again. */
+function lockMinutesRemaining(user) {
+  return Math.max(1, Math.ceil((user.lockUntil.getTime() - Date.now()) / 60000));
+}
+
+/**
+ * Write a LoginEvent. Never throws — logging must not break sign-in.
+ * @param {object} req
+ * @param {object} opts - { user?, email?, method, success, reason?, triggeredLock? }
+ */
+async function logLoginEvent(req, { user = null, email = null, method, success, reason = null, triggeredLock = false }) {
+  try {
+    const ip = req.ip || null;
+    let newIp = false;
+    if (success && user && ip) {
+      newIp = !(await LoginEvent.exists({ userId: user._id, ip, success: true }));
+    }
+
+    await LoginEvent.create({
+      userId: user?._id || null,
+      email: user?.email || email || null,
+      method,
+      success,
+      reason,
+      ip,
+      userAgent: req.headers['user-agent'] || null,
+      newIp,
+      triggeredLock,
+    });
+  } catch (err) {
+    console.warn('LoginEvent write failed (non-fatal):', err.message);
+  }
+}
+
+/**
+ * Count a failed attempt atomically and lock the account once the limit is hit.
+ * Sends the "account locked" email when a new lock starts.
+ * @returns {Promise<{ locked: boolean, lockUntil: Date|null }>}
+ */
+async function recordFailedLogin(user, req, method = 'password', reason = 'bad_password') {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('email failedLoginAttempts lockCount lockUntil');
+
+  let triggeredLock = false;
+  let lockUntil = null;
+
+  if (updated && updated.failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+    const minutes = Math.min(BASE_LOCK_MINUTES * 2 ** updated.lockCount, MAX_LOCK_MINUTES);
+    const until = new Date(Date.now() + minutes * 60 * 1000);
+
+    // Only the request that crosses the threshold starts the lock (no double emails)
+    const locked = await User.findOneAndUpdate(
+      { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+      { $set: { failedLoginAttempts: 0, lockUntil: until }, $inc: { lockCount: 1 } },
+      { new: true }
+    ).select('email lockUntil');
+
+    if (locked) {
+      triggeredLock = true;
+      lockUntil = until;
+      console.warn(`🔒 Account locked for ${minutes} min: ${locked.email}`);
+      // Not awaited — how long the response takes mustn't give the lock away
+      sendAccountLockedEmail(locked.email, lockUntil, req.ip)
+        .catch((mailErr) => console.error('[Lockout] Failed to send locked email:', mailErr.message));
+    }
+  }
+
+  await logLoginEvent(req, { user, method, success: false, reason, triggeredLock });
+
+  return { locked: triggeredLock, lockUntil };
+}
+
+// Sign-ins that proved one of the secrets whose failures are counted here.
+// Others (Google, magic link) leave the counters alone, so they can't reset
+// the progressive lockout built up against the password.
+const COUNTER_RESET_METHODS = ['password', 'mfa'];
+
+/** Clear the counters after a password/2FA sign-in, and log the sign-in. */
+async function recordSuccessfulLogin(user, req, method = 'password') {
+  if (COUNTER_RESET_METHODS.includes(method) && (user.failedLoginAttempts || user.lockCount || user.lockUntil)) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0, lockCount: 0, lockUntil: null } }
+    );
+  }
+  await logLoginEvent(req, { user, method, success: true });
+}
+
+module.exports = {
+  isLocked,
+  lockMinutesRemaining,
+  logLoginEvent,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+};
@@ -4,6 +4,58 @@
 
 const https = require('https');
 
+// User-supplied text placed in an email body
+const escapeHtml = (str) => String(str).replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[c]));
+
+/**
+ * POST a prepared payload to Brevo's Transactional Email API.
+ * @param {string} payload - JSON string (sender, to, subject, htmlContent)
+ * @param {string} label   - What to log on success
+ */
+function postToBrevo(payload, label) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: 'api.brevo.com',
+      path: '/v3/smtp/email',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'api-key': process.env.BREVO_API_KEY,
+        'Content-Length': Buffer.byteLength(payload),
+      },
+    };
+
+    const req = https.request(options, (res) => {
+      let body = '';
+      res.on('data', (chunk) => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          console.log(`[Brevo] ${label}, messageId:`, JSON.parse(body).messageId);
+          resolve();
+        } else {
+          const errMsg = `Brevo API error ${res.statusCode}: ${body}`;
+          console.error('[Brevo] Error:', errMsg);
+          reject(new Error(errMsg));
+        }
+      });
+    });
+
+    req.on('error', (err) => {
+      console.error('[Brevo] Request error:', err.message);
+      reject(err);
+    });
+
+    req.setTimeout(10000, () => {
+      req.destroy(new Error('Brevo request timed out after 10s'));
+    });
+
+    req.write(payload);
+    req.end();
+  });
+}
+
 /**
  * Send a verification email via Brevo's Transactional Email API.
  * @param {string} to    - Recipient email address
@@ -69,45 +121,7 @@ async function sendVerificationEmail(to, token) {
     `,
   });
 
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.brevo.com',
-      path: '/v3/smtp/email',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'api-key': process.env.BREVO_API_KEY,
-        'Content-Length': Buffer.byteLength(payload),
-      },
-    };
-
-    const req = https.request(options, (res) => {
-      let body = '';
-      res.on('data', (chunk) => { body += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          console.log('[Brevo] Email sent successfully, messageId:', JSON.parse(body).messageId);
-          resolve();
-        } else {
-          const errMsg = `Brevo API error ${res.statusCode}: ${body}`;
-          console.error('[Brevo] Error:', errMsg);
-          reject(new Error(errMsg));
-        }
-      });
-    });
-
-    req.on('error', (err) => {
-      console.error('[Brevo] Request error:', err.message);
-      reject(err);
-    });
-
-    req.setTimeout(10000, () => {
-      req.destroy(new Error('Brevo request timed out after 10s'));
-    });
-
-    req.write(payload);
-    req.end();
-  });
+  return postToBrevo(payload, 'Email sent successfully');
 }
 
 /**
@@ -174,45 +188,354 @@ async function sendPasswordResetEmail(to, token) {
     `,
   });
 
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'api.brevo.com',
-      path: '/v3/smtp/email',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'api-key': process.env.BREVO_API_KEY,
-        'Content-Length': Buffer.byteLength(payload),
-      },
-    };
+  return postToBrevo(payload, 'Password reset email sent');
+}
 
-    const req = https.request(options, (res) => {
-      let body = '';
-      res.on('data', (chunk) => { body += chunk; });
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          console.log('[Brevo] Password reset email sent, messageId:', JSON.parse(body).messageId);
-          resolve();
-        } else {
-          const errMsg = `Brevo API error ${res.statusCode}: ${body}`;
-          console.error('[Brevo] Error:', errMsg);
-          reject(new Error(errMsg));
-        }
-      });
-    });
+/**
+ * Tell a user their account was temporarily locked after repeated failed sign-ins.
+ * @param {string} to          - Recipient email address
+ * @param {Date}   lockedUntil - When sign-in becomes possible again
+ * @param {string} [ip]        - IP address of the last failed attempt
+ */
+async function sendAccountLockedEmail(to, lockedUntil, ip) {
+  const senderEmail = process.env.EMAIL_USER;
+  if (!senderEmail) {
+    throw new Error('[Brevo] EMAIL_USER env variable is not set. Cannot send email.');
+  }
 
-    req.on('error', (err) => {
-      console.error('[Brevo] Request error:', err.message);
-      reject(err);
-    });
+  const minutes = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 60000));
 
-    req.setTimeout(10000, () => {
-      req.destroy(new Error('Brevo request timed out after 10s'));
-    });
+  const payload = JSON.stringify({
+    sender: {
+      name: 'Nestoric',
+      email: senderEmail,
+    },
+    to: [{ email: to }],
+    subject: 'Your Nestoric account was temporarily locked',
+    htmlContent: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8" />
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f5f5f5; margin: 0; padding: 0; }
+          .container { max-width: 520px; margin: 40px auto; background: #fff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 24px rgba(0,0,0,0.08); }
+          .header { background: linear-gradient(135deg, #FF6B6B, #FF8E53); padding: 40px 32px; text-align: center; }
+          .header h1 { color: #fff; margin: 0; font-size: 28px; font-weight: 800; }
+          .header p  { color: rgba(255,255,255,0.9); margin: 8px 0 0; font-size: 15px; }
+          .body { padding: 36px 32px; }
+          .body p { color: #444; font-size: 15px; line-height: 1.6; margin: 0 0 20px; }
+          .footer { padding: 20px 32px; border-top: 1px solid #eee; text-align: center; color: #999; font-size: 12px; }
+          .note { background: #fff5f5; border: 1px solid #ffe3e3; border-radius: 8px; padding: 12px 16px; font-size: 13px; color: #c92a2a; margin-top: 24px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Account Locked</h1>
+            <p>Nestoric Platform</p>
+          </div>
+          <div class="body">
+            <p>Hi there,</p>
+            <p>We noticed several failed sign-in attempts on your Nestoric account${ip ? ` (last one from IP <strong>${ip}</strong>)` : ''}, so we've temporarily locked it to keep it safe.</p>
+            <p>You can try again in about <strong>${minutes} minute${minutes === 1 ? '' : 's'}</strong>.</p>
+            <div class="note">
+              🔒 If this wasn't you, someone may be guessing your password. Use <strong>Forgot password</strong> in the app to set a new one.
+            </div>
+          </div>
+          <div class="footer">
+            © ${new Date().getFullYear()} Nestoric. All rights reserved.
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
 
-    req.write(payload);
-    req.end();
+  return postToBrevo(payload, 'Account locked email sent');
+}
+
+/**
+ * Send a one-time passwordless sign-in link via Brevo's Transactional Email API.
+ * @param {string} to    - Recipient email address
+ * @param {string} token - Raw magic-link token
+ */
+async function sendMagicLinkEmail(to, token) {
+  const senderEmail = process.env.EMAIL_USER;
+  if (!senderEmail) {
+    throw new Error('[Brevo] EMAIL_USER env variable is not set. Cannot send email.');
+  }
+
+  const baseUrl = process.env.BACKEND_URL || 'https://nestoric-backend.onrender.com';
+  const loginUrl = `${baseUrl}/api/auth/magic-link/${token}`;
+
+  const payload = JSON.stringify({
+    sender: {
+      name: 'Nestoric',
+      email: senderEmail,
+    },
+    to: [{ email: to }],
+    subject: 'Your Nestoric sign-in link',
+    htmlContent: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8" />
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f5f5f5; margin: 0; padding: 0; }
+          .container { max-width: 520px; margin: 40px auto; background: #fff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 24px rgba(0,0,0,0.08); }
+          .header { background: linear-gradient(135deg, #6C63FF, #9C93FF); padding: 40px 32px; text-align: center; }
+          .header h1 { color: #fff; margin: 0; font-size: 28px; font-weight: 800; }
+          .header p  { color: rgba(255,255,255,0.8); margin: 8px 0 0; font-size: 15px; }
+          .body { padding: 36px 32px; }
+          .body p { color: #444; font-size: 15px; line-height: 1.6; margin: 0 0 20px; }
+          .btn { display: inline-block; background: #6C63FF; color: #fff !important; text-decoration: none; padding: 14px 32px; border-radius: 10px; font-weight: 700; font-size: 15px; }
+          .footer { padding: 20px 32px; border-top: 1px solid #eee; text-align: center; color: #999; font-size: 12px; }
+          .note { background: #f8f7ff; border: 1px solid #e0ddff; border-radius: 8px; padding: 12px 16px; font-size: 13px; color: #666; margin-top: 24px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Nestoric</h1>
+            <p>Sign in without a password</p>
+          </div>
+          <div class="body">
+            <p>Hi there 👋</p>
+            <p>Tap the button below and confirm to sign in to the Nestoric app. Keep the app open — it will log you in automatically.</p>
+            <p style="text-align:center; margin: 32px 0;">
+              <a class="btn" href="${loginUrl}">Sign me in</a>
+            </p>
+            <div class="note">
+              ⏳ This link works once and expires in <strong>15 minutes</strong>. It signs in the device that asked for it, not the one you open it on. If you didn't ask to sign in, don't open the link or confirm the sign-in — and consider changing your password.
+            </div>
+          </div>
+          <div class="footer">
+            © ${new Date().getFullYear()} Nestoric. All rights reserved.<br/>
+            <small>If the button doesn't work: ${loginUrl}</small>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+
+  return postToBrevo(payload, 'Magic link email sent');
+}
+
+/**
+ * Ask the NEW address to confirm an email change.
+ * @param {string} to    - The new email address
+ * @param {string} token - Raw confirmation token
+ */
+async function sendEmailChangeConfirmEmail(to, token) {
+  const senderEmail = process.env.EMAIL_USER;
+  if (!senderEmail) {
+    throw new Error('[Brevo] EMAIL_USER env variable is not set. Cannot send email.');
+  }
+
+  const baseUrl = process.env.BACKEND_URL || 'https://nestoric-backend.onrender.com';
+  const confirmUrl = `${baseUrl}/api/auth/change-email/confirm/${token}`;
+
+  const payload = JSON.stringify({
+    sender: {
+      name: 'Nestoric',
+      email: senderEmail,
+    },
+    to: [{ email: to }],
+    subject: 'Confirm your new Nestoric email address',
+    htmlContent: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8" />
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f5f5f5; margin: 0; padding: 0; }
+          .container { max-width: 520px; margin: 40px auto; background: #fff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 24px rgba(0,0,0,0.08); }
+          .header { background: linear-gradient(135deg, #6C63FF, #9C93FF); padding: 40px 32px; text-align: center; }
+          .header h1 { color: #fff; margin: 0; font-size: 28px; font-weight: 800; }
+          .header p  { color: rgba(255,255,255,0.8); margin: 8px 0 0; font-size: 15px; }
+          .body { padding: 36px 32px; }
+          .body p { color: #444; font-size: 15px; line-height: 1.6; margin: 0 0 20px; }
+          .btn { display: inline-block; background: #6C63FF; color: #fff !important; text-decoration: none; padding: 14px 32px; border-radius: 10px; font-weight: 700; font-size: 15px; }
+          .footer { padding: 20px 32px; border-top: 1px solid #eee; text-align: center; color: #999; font-size: 12px; }
+          .note { background: #f8f7ff; border: 1px solid #e0ddff; border-radius: 8px; padding: 12px 16px; font-size: 13px; color: #666; margin-top: 24px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Nestoric</h1>
+            <p>Confirm your new email</p>
+          </div>
+          <div class="body">
+            <p>Hi there,</p>
+            <p>Someone asked to use this address for their Nestoric account. From then on you'll sign in and receive invoices here. Tap below to confirm:</p>
+            <p style="text-align:center; margin: 32px 0;">
+              <a class="btn" href="${confirmUrl}">Confirm new email</a>
+            </p>
+            <div class="note">
+              ⏳ This link expires in <strong>24 hours</strong>. If this wasn't you, ignore this email — nothing will change.
+            </div>
+          </div>
+          <div class="footer">
+            © ${new Date().getFullYear()} Nestoric. All rights reserved.<br/>
+            <small>If the button doesn't work: ${confirmUrl}</small>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+
+  return postToBrevo(payload, 'Email change confirmation sent');
+}
+
+/**
+ * Warn the OLD address that an email change was requested, with a cancel link.
+ * @param {string} to          - The current (old) email address
+ * @param {string} newEmail    - Address the account is moving to
+ * @param {string} cancelToken - Raw cancellation token
+ */
+async function sendEmailChangeNoticeEmail(to, newEmail, cancelToken) {
+  const senderEmail = process.env.EMAIL_USER;
+  if (!senderEmail) {
+    throw new Error('[Brevo] EMAIL_USER env variable is not set. Cannot send email.');
+  }
+
+  const baseUrl = process.env.BACKEND_URL || 'https://nestoric-backend.onrender.com';
+  const cancelUrl = `${baseUrl}/api/auth/change-email/cancel/${cancelToken}`;
+
+  const payload = JSON.stringify({
+    sender: {
+      name: 'Nestoric',
+      email: senderEmail,
+    },
+    to: [{ email: to }],
+    subject: 'Your Nestoric email address is being changed',
+    htmlContent: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8" />
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f5f5f5; margin: 0; padding: 0; }
+          .container { max-width: 520px; margin: 40px auto; background: #fff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 24px rgba(0,0,0,0.08); }
+          .header { background: linear-gradient(135deg, #FF6B6B, #FF8E53); padding: 40px 32px; text-align: center; }
+          .header h1 { color: #fff; margin: 0; font-size: 28px; font-weight: 800; }
+          .header p  { color: rgba(255,255,255,0.9); margin: 8px 0 0; font-size: 15px; }
+          .body { padding: 36px 32px; }
+          .body p { color: #444; font-size: 15px; line-height: 1.6; margin: 0 0 20px; }
+          .btn { display: inline-block; background: #FF6B6B; color: #fff !important; text-decoration: none; padding: 14px 32px; border-radius: 10px; font-weight: 700; font-size: 15px; }
+          .footer { padding: 20px 32px; border-top: 1px solid #eee; text-align: center; color: #999; font-size: 12px; }
+          .note { background: #fff5f5; border: 1px solid #ffe3e3; border-radius: 8px; padding: 12px 16px; font-size: 13px; color: #c92a2a; margin-top: 24px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Email Change Requested</h1>
+            <p>Nestoric Platform</p>
+          </div>
+          <div class="body">
+            <p>Hi there,</p>
+            <p>A request was made to change the email on your Nestoric account to <strong>${escapeHtml(newEmail)}</strong>. Once that address is confirmed, you'll sign in with it and invoices will go there.</p>
+            <p>If this wasn't you, cancel the change now:</p>
+            <p style="text-align:center; margin: 32px 0;">
+              <a class="btn" href="${cancelUrl}">Cancel this change</a>
+            </p>
+            <div class="note">
+              🔒 If you didn't request this, also change your password from the app.
+            </div>
+          </div>
+          <div class="footer">
+            © ${new Date().getFullYear()} Nestoric. All rights reserved.
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  });
+
+  return postToBrevo(payload, 'Email change notice sent');
+}
+
+/**
+ * Invite a new worker to set their password and join Nestoric.
+ * @param {string} to       - Worker's email address
+ * @param {string} fullName - Worker's name, as entered by the admin
+ * @param {string} token    - Raw invite token
+ * @param {number} days     - How long the link is valid for
+ */
+async function sendWorkerInviteEmail(to, fullName, token, days) {
+  const senderEmail = process.env.EMAIL_USER;
+  if (!senderEmail) {
+    throw new Error('[Brevo] EMAIL_USER env variable is not set. Cannot send email.');
+  }
+
+  const baseUrl = process.env.BACKEND_URL || 'https://nestoric-backend.onrender.com';
+  const inviteUrl = `${baseUrl}/api/users/invites/accept-form?token=${token}`;
+
+  const payload = JSON.stringify({
+    sender: {
+      name: 'Nestoric',
+      email: senderEmail,
+    },
+    to: [{ email: to }],
+    subject: "You're invited to join Nestoric as a team member",
+    htmlContent: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8" />
+        <style>
+          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #f5f5f5; margin: 0; padding: 0; }
+          .container { max-width: 520px; margin: 40px auto; background: #fff; border-radius: 16px; overflow: hidden; box-shadow: 0 4px 24px rgba(0,0,0,0.08); }
+          .header { background: linear-gradient(135deg, #6C63FF, #9C93FF); padding: 40px 32px; text-align: center; }
+          .header h1 { color: #fff; margin: 0; font-size: 28px; font-weight: 800; }
+          .header p  { color: rgba(255,255,255,0.8); margin: 8px 0 0; font-size: 15px; }
+          .body { padding: 36px 32px; }
+          .body p { color: #444; font-size: 15px; line-height: 1.6; margin: 0 0 20px; }
+          .btn { display: inline-block; background: #6C63FF; color: #fff !important; text-decoration: none; padding: 14px 32px; border-radius: 10px; font-weight: 700; font-size: 15px; }
+          .footer { padding: 20px 32px; border-top: 1px solid #eee; text-align: center; color: #999; font-size: 12px; }
+          .note { background: #f8f7ff; border: 1px solid #e0ddff; border-radius: 8px; padding: 12px 16px; font-size: 13px; color: #666; margin-top: 24px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Nestoric</h1>
+            <p>Team invitation</p>
+          </div>
+          <div class="body">
+            <p>Hi ${fullName} 👋</p>
+            <p>You've been invited to join Nestoric as a team member. Choose your password to activate your account, then sign in to the Nestoric app with this email.</p>
+            <p style="text-align:center; margin: 32px 0;">
+              <a class="btn" href="${inviteUrl}">Accept invitation</a>
+            </p>
+            <div class="note">
+              ⏳ This invitation expires in <strong>${days} days</strong>. If you weren't expecting it, you can ignore this email.
+            </div>
+          </div>
+          <div class="footer">
+            © ${new Date().getFullYear()} Nestoric. All rights reserved.<br/>
+            <small>If the button doesn't work: ${inviteUrl}</small>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
   });
+
+  return postToBrevo(payload, 'Worker invite email sent');
 }
 
-module.exports = { sendVerificationEmail, sendPasswordResetEmail };
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail,
+  sendEmailChangeConfirmEmail,
+  sendEmailChangeNoticeEmail,
+  sendWorkerInviteEmail,
+};
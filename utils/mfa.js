@@ -0,0 +1,105 @@
+// utils/mfa.js — Two-factor sign-in helpers shared by routes/auth.js and routes/mfa.js
+'use strict';
+
+const crypto = require('crypto');
+const SecuritySettings = require('../models/SecuritySettings');
+const { verifyTotp } = require('./totp');
+const { hashToken } = require('./tokens');
+const { signJwt, verifyJwt } = require('./signingKeys');
+
+// Short-lived tokens that prove "password OK, second factor still pending".
+// They carry no session id, so authenticateToken never accepts them.
+const MFA_TOKEN_TTL = {
+  mfa_challenge: '5m',
+  mfa_enroll: '15m',
+};
+
+const RECOVERY_CODE_COUNT = 10;
+
+function signMfaToken(user, purpose) {
+  return signJwt({ userId: user._id, purpose }, { expiresIn: MFA_TOKEN_TTL[purpose] });
+}
+
+/** Decode an MFA token, throwing unless it was issued for `purpose`. */
+async function verifyMfaToken(token, purpose) {
+  const decoded = await verifyJwt(token);
+  if (decoded.purpose !== purpose) throw new Error('Wrong token purpose');
+  return decoded;
+}
+
+async function isMfaRequiredForRole(role) {
+  const settings = await SecuritySettings.getSettings();
+  return settings.mfaRequiredRoles.includes(role);
+}
+
+/**
+ * Decide whether a user who passed the first factor may receive tokens yet.
+ * @returns {Promise<object|null>} null when sign-in can complete, otherwise the
+ *          403 body to send (MFA_REQUIRED or MFA_ENROLLMENT_REQUIRED)
+ */
+async function mfaGate(user) {
+  if (user.mfa?.enabled) {
+    return {
+      error: 'MFA_REQUIRED',
+      message: 'Enter the 6-digit code from your authenticator app.',
+      mfaToken: await signMfaToken(user, 'mfa_challenge'),
+    };
+  }
+
+  if (await isMfaRequiredForRole(user.role)) {
+    return {
+      error: 'MFA_ENROLLMENT_REQUIRED',
+      message: 'Two-factor authentication is required for your account. Please set it up to continue.',
+      mfaToken: await signMfaToken(user, 'mfa_enroll'),
+    };
+  }
+
+  return null;
+}
+
+/** Fresh recovery codes — show `codes` to the user once, store only `hashes`. */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex'); // 10 hex chars
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map((c) => hashToken(c)) };
+}
+
+/**
+ * Check a TOTP code or a recovery code against a user loaded with
+ * '+mfa.secret +mfa.recoveryCodes +mfa.lastUsedStep'.
+ * On success the user document is updated in memory (replay guard / used
+ * recovery code removed) — the caller must save it.
+ * @returns {'totp'|'recovery'|null}
+ */
+function checkSecondFactor(user, { code, recoveryCode }) {
+  if (code && user.mfa.secret) {
+    const step = verifyTotp(user.mfa.secret, code);
+    if (step !== null && (user.mfa.lastUsedStep === null || step > user.mfa.lastUsedStep)) {
+      user.mfa.lastUsedStep = step;
+      return 'totp';
+    }
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const idx = user.mfa.recoveryCodes.indexOf(hash);
+    if (idx !== -1) {
+      user.mfa.recoveryCodes.splice(idx, 1);
+      return 'recovery';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  signMfaToken,
+  verifyMfaToken,
+  isMfaRequiredForRole,
+  mfaGate,
+  generateRecoveryCodes,
+  checkSecondFactor,
+};
@@ -0,0 +1,117 @@
+// utils/passwordPolicy.js — One password policy for every place a password is set
+// (signup, change-password, reset-password, worker invite acceptance).
+// Rules are configurable through env vars; failures come back as structured
+// codes so the app can highlight exactly which rule failed.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const envFlag = (name, fallback) => {
+  const v = process.env[name];
+  if (v === undefined || v === '') return fallback;
+  return v === 'true' || v === '1';
+};
+
+const POLICY = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: 72, // bcrypt ignores anything past 72 bytes
+  requireLetter: envFlag('PASSWORD_REQUIRE_LETTER', true),
+  requireNumber: envFlag('PASSWORD_REQUIRE_NUMBER', true),
+  requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', false),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false),
+  rejectCommon: envFlag('PASSWORD_REJECT_COMMON', true),
+};
+
+// Bundled list, loaded once on first use
+let _commonPasswords = null;
+function commonPasswords() {
+  if (!_commonPasswords) {
+    const file = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+    _commonPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+  return _commonPasswords;
+}
+
+/**
+ * Check a candidate password against the policy.
+ * @param {string} password
+ * @param {object} [context]
+ * @param {string} [context.email]    - rejected if the password contains its local part
+ * @param {string} [context.fullName] - rejected if the password contains any name part
+ * @returns {{ valid: boolean, errors: Array<{ code: string, message: string }> }}
+ */
+function validatePassword(password, { email, fullName } = {}) {
+  const errors = [];
+  const fail = (code, message) => errors.push({ code, message });
+
+  if (typeof password !== 'string' || password.length === 0) {
+    fail('PASSWORD_REQUIRED', 'Password is required');
+    return { valid: false, errors };
+  }
+
+  const lower = password.toLowerCase();
+
+  if (password.length < POLICY.minLength) {
+    fail('PASSWORD_TOO_SHORT', `Password must be at least ${POLICY.minLength} characters`);
+  }
+  if (Buffer.byteLength(password, 'utf8') > POLICY.maxLength) {
+    fail('PASSWORD_TOO_LONG', `Password must be at most ${POLICY.maxLength} characters`);
+  }
+  if (POLICY.requireLetter && !/[a-z]/i.test(password)) {
+    fail('PASSWORD_MISSING_LETTER', 'Password must contain a letter');
+  }
+  if (POLICY.requireNumber && !/\d/.test(password)) {
+    fail('PASSWORD_MISSING_NUMBER', 'Password must contain a number');
+  }
+  if (POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    fail('PASSWORD_MISSING_UPPERCASE', 'Password must contain an uppercase letter');
+  }
+  if (POLICY.requireSymbol && !/[^a-z0-9]/i.test(password)) {
+    fail('PASSWORD_MISSING_SYMBOL', 'Password must contain a symbol');
+  }
+
+  if (email && typeof email === 'string') {
+    const localPart = email.toLowerCase().split('@')[0];
+    if (localPart.length >= 3 && lower.includes(localPart)) {
+      fail('PASSWORD_CONTAINS_EMAIL', 'Password must not contain your email address');
+    }
+  }
+
+  if (fullName && typeof fullName === 'string') {
+    const nameParts = fullName.toLowerCase().split(/\s+/).filter((p) => p.length >= 3);
+    if (nameParts.some((part) => lower.includes(part))) {
+      fail('PASSWORD_CONTAINS_NAME', 'Password must not contain your name');
+    }
+  }
+
+  if (POLICY.rejectCommon && commonPasswords().has(lower)) {
+    fail('PASSWORD_TOO_COMMON', 'This password is too common. Please choose another one');
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Standard 400 body for a rejected password. `error` stays a readable
+ * sentence for older app builds; `errors` lists every failed rule.
+ */
+function passwordErrorResponse(errors) {
+  return {
+    error: errors[0].message,
+    code: 'PASSWORD_POLICY',
+    errors,
+  };
+}
+
+/** Rules the app can show next to the password field. */
+function describePolicy() {
+  return { ...POLICY };
+}
+
+module.exports = { validatePassword, passwordErrorResponse, describePolicy };
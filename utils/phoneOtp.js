@@ -0,0 +1,64 @@
+// utils/phoneOtp.js — Phone number normalisation and one-time codes
+'use strict';
+
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const MAX_VERIFY_ATTEMPTS = 5;   // wrong guesses per code before it's burned
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_HOUR = 5;
+
+// Numbers typed without a country code are assumed to be Indian (Razorpay's market)
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_PHONE_COUNTRY_CODE || '91';
+
+/**
+ * Turn user input into E.164 (+<country><number>), or null if it can't be.
+ * "98765 43210" → "+919876543210", "+1 (415) 555-0100" → "+14155550100"
+ */
+function normalizePhone(raw) {
+  if (typeof raw !== 'string') return null;
+  let digits = raw.trim().replace(/[\s().-]/g, '');
+
+  if (digits.startsWith('00')) digits = '+' + digits.slice(2);
+  if (!digits.startsWith('+')) {
+    digits = digits.replace(/^0/, '');
+    if (digits.length !== 10) return null;
+    digits = `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  }
+
+  return /^\+[1-9]\d{7,14}$/.test(digits) ? digits : null;
+}
+
+function generateOtp() {
+  return String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+}
+
+// Bound to the user and number so a code can't be replayed for another one
+function hashOtp(userId, phone, code) {
+  return hashToken(`${userId}:${phone}:${code}`);
+}
+
+function otpMatches(storedHash, userId, phone, code) {
+  const candidate = Buffer.from(hashOtp(userId, phone, String(code || '').trim()));
+  const stored = Buffer.from(storedHash);
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+}
+
+/** "+919876543210" → "+91••••••3210" for messages and logs */
+function maskPhone(phone) {
+  return phone.slice(0, 3) + '•'.repeat(Math.max(phone.length - 7, 0)) + phone.slice(-4);
+}
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  MAX_VERIFY_ATTEMPTS,
+  RESEND_COOLDOWN_SECONDS,
+  MAX_SENDS_PER_HOUR,
+  normalizePhone,
+  generateOtp,
+  hashOtp,
+  otpMatches,
+  maskPhone,
+};
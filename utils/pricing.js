@@ -0,0 +1,42 @@
+// utils/pricing.js — What a set of services on a plan costs
+// Σ ServicePricing.price × PlanTier.multiplier, plus 18% GST, rounded to the
+// rupee. Used for new requests and for change orders so both price alike.
+'use strict';
+
+const ServicePricing = require('../models/ServicePricing');
+const PlanTier = require('../models/PlanTier');
+
+const GST_RATE = 0.18;
+
+/**
+ * @param {string[]} services - service names
+ * @param {string} [plan]     - PlanTier.tierId (default basic)
+ * @returns {Promise<{ baseTotal: number, multiplier: number, subtotal: number,
+ *                     gst: number, total: number, unpricedServices: string[] }>}
+ *          unpricedServices lists names with no active price (they count as 0)
+ */
+async function quotePrice(services, plan = 'basic') {
+  const pricingDocs = await ServicePricing.find({
+    serviceName: { $in: services },
+    isActive: true,
+  });
+  const baseTotal = pricingDocs.reduce((sum, p) => sum + (p.price || 0), 0);
+
+  const tierDoc = await PlanTier.findOne({ tierId: String(plan || 'basic').toLowerCase() });
+  const multiplier = tierDoc ? tierDoc.multiplier : 1;
+
+  const subtotal = baseTotal * multiplier;
+  const gst = subtotal * GST_RATE;
+  const priced = new Set(pricingDocs.map((p) => p.serviceName));
+
+  return {
+    baseTotal,
+    multiplier,
+    subtotal,
+    gst,
+    total: Math.round(subtotal + gst),
+    unpricedServices: services.filter((s) => !priced.has(s)),
+  };
+}
+
+module.exports = { GST_RATE, quotePrice };
@@ -0,0 +1,99 @@
+// utils/razorpay.js — Server-side Razorpay orders and payment lookups
+// Uses the REST API with RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET. Outside
+// production, with no keys set, orders are faked and payments aren't looked
+// up, so the app can be exercised without a Razorpay account.
+'use strict';
+
+const https = require('https');
+const crypto = require('crypto');
+
+function isConfigured() {
+  return !!(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+}
+
+function assertConfigured() {
+  if (isConfigured()) return true;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set in production');
+  }
+  console.warn('⚠️  Razorpay keys not set — using unverified dev payments (dev only)');
+  return false;
+}
+
+function razorpayRequest(method, path, body) {
+  const payload = body ? JSON.stringify(body) : null;
+  const auth = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+
+  return new Promise((resolve, reject) => {
+    const req = https.request({
+      hostname: 'api.razorpay.com',
+      path: `/v1${path}`,
+      method,
+      headers: {
+        Authorization: `Basic ${auth}`,
+        ...(payload && {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+        }),
+      },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try {
+            resolve(JSON.parse(data));
+          } catch {
+            reject(new Error('Razorpay returned invalid JSON'));
+          }
+        } else {
+          reject(new Error(`Razorpay API error ${res.statusCode}: ${data}`));
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.setTimeout(10000, () => {
+      req.destroy(new Error('Razorpay request timed out after 10s'));
+    });
+
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * Create an order the client pays with Razorpay Checkout.
+ * @param {{ amount: number, receipt: string, notes?: object }} order - amount in rupees
+ * @returns {Promise<{ id: string, amount: number, currency: string }>} amount in paise
+ */
+async function createOrder({ amount, receipt, notes = {} }) {
+  const paise = Math.round(amount * 100);
+  if (!assertConfigured()) {
+    return { id: `order_dev_${crypto.randomBytes(7).toString('hex')}`, amount: paise, currency: 'INR' };
+  }
+  const order = await razorpayRequest('POST', '/orders', {
+    amount: paise,
+    currency: 'INR',
+    receipt: receipt.slice(0, 40),
+    notes,
+  });
+  return { id: order.id, amount: order.amount, currency: order.currency };
+}
+
+/**
+ * Whether a payment was captured for exactly this order and amount.
+ * @param {string} paymentId
+ * @param {{ orderId: string, amount: number }} expected - amount in rupees
+ * @returns {Promise<boolean>}
+ */
+async function isPaymentCaptured(paymentId, { orderId, amount }) {
+  if (!assertConfigured()) return true;
+  const payment = await razorpayRequest('GET', `/payments/${encodeURIComponent(paymentId)}`);
+  return payment.order_id === orderId &&
+    payment.amount === Math.round(amount * 100) &&
+    payment.currency === 'INR' &&
+    payment.status === 'captured';
+}
+
+module.exports = { createOrder, isPaymentCaptured };
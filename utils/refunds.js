@@ -0,0 +1,93 @@
+// utils/refunds.js — Cancelling a request and working out what to refund
+'use strict';
+
+const Refund = require('../models/Refund');
+const RefundPolicy = require('../models/RefundPolicy');
+const { changeStatus, actorRoleFor } = require('./requestStatus');
+const { refreshWorkerCounters } = require('./workerCounters');
+
+function refundError(status, code, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Refund due if the request were cancelled now.
+ * @returns {{ percent: number, amount: number }}
+ */
+function computeRefund(request, policy) {
+  const isPaid = request.paymentStatus === 'paid' && request.amountPaid > 0;
+  const percent = isPaid ? (policy.percentByStatus?.[request.status] ?? 0) : 0;
+  return { percent, amount: Math.round((request.amountPaid || 0) * percent / 100) };
+}
+
+/**
+ * Cancel a request and record its refund. Saves both documents.
+ * Throws an error with `status` / `code` (as changeStatus does) when the
+ * actor may not cancel or the request was already cancelled.
+ * @param {object} request - Request document
+ * @param {object} actor   - req.user (client owner or admin) or SYSTEM_ACTOR
+ * @param {{ reason: string, refundPercent?: number }} options
+ *        refundPercent lets an admin override the policy (0–100)
+ * @returns {Promise<object>} the Refund document
+ */
+async function cancelRequest(request, actor, { reason, refundPercent } = {}) {
+  const policy = await RefundPolicy.getPolicy();
+  const statusAtCancellation = request.status;
+  let { percent, amount } = computeRefund(request, policy);
+
+  if (refundPercent !== undefined && refundPercent !== null) {
+    if (actor.role !== 'admin') {
+      throw refundError(403, 'NOT_ALLOWED', 'Only an admin can override the refund percentage');
+    }
+    const override = Number(refundPercent);
+    if (!Number.isFinite(override) || override < 0 || override > 100) {
+      throw refundError(400, 'INVALID_REFUND_PERCENT', 'refundPercent must be between 0 and 100');
+    }
+    if (request.paymentStatus === 'paid') {
+      percent = override;
+      amount = Math.round((request.amountPaid || 0) * percent / 100);
+    }
+  }
+
+  const role = actorRoleFor(request, actor);
+  changeStatus(request, 'cancelled', actor, { reason });
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      requestId: request._id,
+      clientId: request.clientId,
+      paymentId: request.paymentId || null,
+      amountPaid: request.amountPaid || 0,
+      percent,
+      amount,
+      statusAtCancellation,
+      reason: request.statusHistory[request.statusHistory.length - 1].reason,
+      cancelledBy: actor.userId || null,
+      cancelledByRole: role,
+      status: amount > 0 ? 'pending' : 'not_applicable',
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw refundError(409, 'ALREADY_CANCELLED', 'This request has already been cancelled');
+    }
+    throw err;
+  }
+
+  if (amount > 0) request.paymentStatus = 'refund_pending';
+
+  try {
+    await request.save();
+  } catch (err) {
+    await Refund.deleteOne({ _id: refund._id });
+    throw err;
+  }
+
+  await refreshWorkerCounters(request.assignedWorkerId);
+  return refund;
+}
+
+module.exports = { computeRefund, cancelRequest };
@@ -0,0 +1,180 @@
+// utils/requestQuery.js — Filters, search, sort and cursor paging for request lists
+// Shared by GET /api/requests, /my-tasks and /my-requests so the three accept
+// exactly the same query string:
+//
+//   status, service, plan, paymentStatus  comma-separated, any of
+//   from, to                              createdAt range (ISO dates)
+//   assignedWorkerId                      a worker id, or "none" for unassigned
+//   overdue                               true | false (SLA due date passed, still open)
+//   q                                     text in description, clientName or services
+//   sort                                  createdAt | updatedAt | deadline | dueAt | amountPaid,
+//                                         prefix "-" for descending (default -createdAt)
+//   limit                                 page size (default 50, max 100)
+//   cursor                                nextCursor from the previous page
+'use strict';
+
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'deadline', 'dueAt', 'amountPaid'];
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'deadline', 'dueAt'];
+const { CLOSED_STATUSES } = Request;
+
+// Parameters that take a single value — "?sort=a&sort=b" arrives as an array
+const SINGLE_PARAMS = ['from', 'to', 'assignedWorkerId', 'overdue', 'sort', 'limit', 'cursor'];
+
+const PLANS = Request.schema.path('plan').enumValues;
+const PAYMENT_STATUSES = Request.schema.path('paymentStatus').enumValues;
+
+function queryError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  err.code = 'INVALID_QUERY';
+  return err;
+}
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "a,b" → ['a', 'b'], checked against `allowed` when given
+function listParam(value, name, allowed) {
+  if (value === undefined || value === '') return null;
+  const items = String(value).split(',').map((v) => v.trim()).filter(Boolean);
+  if (allowed) {
+    const unknown = items.find((v) => !allowed.includes(v));
+    if (unknown) throw queryError(`Unknown ${name} "${unknown}". Use: ${allowed.join(', ')}`);
+  }
+  return items;
+}
+
+function dateParam(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw queryError(`${name} must be a date (e.g. 2024-01-31)`);
+  return date;
+}
+
+function encodeCursor(doc, field) {
+  const value = doc[field] instanceof Date ? doc[field].toISOString() : (doc[field] ?? null);
+  return Buffer.from(JSON.stringify({ v: value, id: doc._id.toString() })).toString('base64url');
+}
+
+function decodeCursor(cursor, field) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id)) throw new Error('bad id');
+    const value = v !== null && DATE_FIELDS.includes(field) ? new Date(v) : v;
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw queryError('Invalid cursor — start again without one');
+  }
+}
+
+// Documents after the cursor in (field, _id) order. MongoDB sorts missing
+// values before everything else, so they come first ascending, last descending.
+function afterCursor(field, direction, { value, id }) {
+  const idOp = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+  const clauses = [
+    { [field]: { [idOp]: value } },
+    { [field]: value, _id: { [idOp]: id } },
+  ];
+  if (direction === -1) clauses.push({ [field]: null });
+  return { $or: clauses };
+}
+
+/**
+ * Run a request list query.
+ * @param {object} scope  - filter the caller is limited to (e.g. { clientId })
+ * @param {object} params - req.query
+ * @returns {Promise<{ requests: object[], total: number, nextCursor: string|null }>}
+ * @throws {Error} with status 400 / code INVALID_QUERY for a bad parameter
+ */
+async function listRequests(scope, params = {}) {
+  const repeated = SINGLE_PARAMS.find((name) => params[name] !== undefined && typeof params[name] !== 'string');
+  if (repeated) throw queryError(`${repeated} must be given once`);
+
+  const conditions = [scope];
+
+  const status = listParam(params.status, 'status', Request.STATUSES);
+  if (status) conditions.push({ status: { $in: status } });
+
+  const services = listParam(params.service, 'service');
+  if (services) conditions.push({ services: { $in: services } });
+
+  const plans = listParam(params.plan, 'plan', PLANS);
+  if (plans) conditions.push({ plan: { $in: plans } });
+
+  const paymentStatuses = listParam(params.paymentStatus, 'paymentStatus', PAYMENT_STATUSES);
+  if (paymentStatuses) conditions.push({ paymentStatus: { $in: paymentStatuses } });
+
+  const from = dateParam(params.from, 'from');
+  const to = dateParam(params.to, 'to');
+  if (from || to) {
+    const createdAt = {};
+    if (from) createdAt.$gte = from;
+    if (to) createdAt.$lte = to;
+    conditions.push({ createdAt });
+  }
+
+  if (params.assignedWorkerId) {
+    if (params.assignedWorkerId === 'none') {
+      conditions.push({ assignedWorkerId: null });
+    } else if (mongoose.isValidObjectId(params.assignedWorkerId)) {
+      conditions.push({ assignedWorkerId: new mongoose.Types.ObjectId(params.assignedWorkerId) });
+    } else {
+      throw queryError('assignedWorkerId must be a worker id or "none"');
+    }
+  }
+
+  if (params.overdue === 'true') {
+    conditions.push({ dueAt: { $lt: new Date() }, status: { $nin: CLOSED_STATUSES } });
+  } else if (params.overdue === 'false') {
+    conditions.push({
+      $or: [{ dueAt: null }, { dueAt: { $gte: new Date() } }, { status: { $in: CLOSED_STATUSES } }],
+    });
+  } else if (params.overdue !== undefined) {
+    throw queryError('overdue must be true or false');
+  }
+
+  const q = typeof params.q === 'string' ? params.q.trim().slice(0, 100) : '';
+  if (q) {
+    const pattern = new RegExp(escapeRegex(q), 'i');
+    conditions.push({ $or: [{ description: pattern }, { clientName: pattern }, { services: pattern }] });
+  }
+
+  const sortParam = params.sort || '-createdAt';
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  const field = sortParam.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    throw queryError(`Unknown sort "${sortParam}". Use: ${SORT_FIELDS.join(', ')} (prefix - for descending)`);
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const filter = { $and: conditions };
+  const pageFilter = params.cursor
+    ? { $and: [...conditions, afterCursor(field, direction, decodeCursor(params.cursor, field))] }
+    : filter;
+
+  const [page, total] = await Promise.all([
+    Request.find(pageFilter).sort({ [field]: direction, _id: direction }).limit(limit + 1),
+    Request.countDocuments(filter),
+  ]);
+
+  const hasMore = page.length > limit;
+  const requests = hasMore ? page.slice(0, limit) : page;
+
+  return {
+    requests,
+    total,
+    nextCursor: hasMore ? encodeCursor(requests[requests.length - 1], field) : null,
+  };
+}
+
+module.exports = { listRequests };
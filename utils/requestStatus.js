@@ -0,0 +1,224 @@
+// utils/requestStatus.js — Request lifecycle rules
+// Every status change goes through changeStatus(), which checks the
+// transition table for the actor's role and appends to statusHistory.
+'use strict';
+
+const Request = require('../models/Request');
+
+const STATUS_LABELS = {
+  pending:     'Pending',
+  assigned:    'Assigned',
+  in_progress: 'In Progress',
+  review:      'In Review',
+  completed:   'Completed ✅',
+  on_hold:     'On Hold',
+  cancelled:   'Cancelled',
+};
+
+// Allowed moves per role: TRANSITIONS[role][from] = [to, ...]
+// "worker" means the request's assigned worker and "client" its owner.
+const ADMIN_TRANSITIONS = {
+  pending:     ['assigned', 'on_hold', 'cancelled'],
+  assigned:    ['pending', 'in_progress', 'on_hold', 'cancelled'],
+  in_progress: ['assigned', 'review', 'on_hold', 'cancelled'],
+  review:      ['assigned', 'in_progress', 'completed', 'on_hold', 'cancelled'],
+  on_hold:     ['pending', 'assigned', 'in_progress', 'review', 'cancelled'],
+  completed:   [],
+  cancelled:   [],
+};
+
+const TRANSITIONS = {
+  admin: ADMIN_TRANSITIONS,
+  // Automatic changes (timeouts, account deletion) follow the admin rules
+  system: ADMIN_TRANSITIONS,
+  worker: {
+    assigned:    ['in_progress', 'pending'],
+    in_progress: ['review'],
+  },
+  // Client cancellations go through POST /api/requests/:id/cancel (utils/refunds.js)
+  client: {
+    pending:     ['cancelled'],
+    assigned:    ['cancelled'],
+    in_progress: ['cancelled'],
+    // Approve the work, or send it back for changes
+    review:      ['completed', 'in_progress', 'cancelled'],
+    on_hold:     ['cancelled'],
+  },
+};
+
+// Moves workers and clients make through a dedicated endpoint instead of
+// PUT /:id/status, so the endpoint's own records are kept (changeStatus
+// option `via`): deliverable rounds, declined assignments.
+// ENDPOINT_ONLY[role][from][to] = via. Admins may still move directly.
+const ENDPOINT_ONLY = {
+  worker: {
+    assigned:    { pending: 'decline' },
+    in_progress: { review: 'deliverable' },
+  },
+  client: {
+    review: { completed: 'deliverable', in_progress: 'deliverable' },
+  },
+};
+
+const ENDPOINT_HINTS = {
+  deliverable: {
+    code: 'DELIVERABLE_REQUIRED',
+    worker: 'Submit a deliverable (POST /api/requests/:id/deliverables)',
+    client: 'Approve the deliverable or request a revision (POST /api/requests/:id/deliverables/:deliverableId/approve | request-revision)',
+  },
+  decline: {
+    code: 'DECLINE_REQUIRED',
+    worker: 'Decline the assignment (POST /api/requests/:id/decline)',
+  },
+};
+
+// Statuses that only make sense with a worker on the request
+const WORKER_STATUSES = ['assigned', 'in_progress', 'review'];
+
+// Changes that must say why
+const REASON_REQUIRED = ['on_hold', 'cancelled'];
+
+// Pass as the actor for changes nobody in particular made
+const SYSTEM_ACTOR = { userId: null, role: 'system' };
+
+function statusError(status, code, message, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function cleanHistoryReason(reason) {
+  return typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 500) : null;
+}
+
+function label(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+/** The role an actor ({ userId, role } as on req.user) plays on this request, or null. */
+function actorRoleFor(request, actor) {
+  if (actor.role === 'admin' || actor.role === 'system') return actor.role;
+  if (actor.role === 'worker' && request.assignedWorkerId?.toString() === actor.userId) return 'worker';
+  if (request.clientId?.toString() === actor.userId) return 'client';
+  return null;
+}
+
+/** Statuses the actor may move this request to from where it is now. */
+function allowedTransitions(request, actor) {
+  const role = actorRoleFor(request, actor);
+  return role ? (TRANSITIONS[role][request.status] || []) : [];
+}
+
+/**
+ * Move a request to a new status, recording who did it and why.
+ * Mutates the document only — the caller saves it.
+ * Throws an error with `status`, `code` (and `allowed` for a bad transition)
+ * when the change isn't permitted. Moving to "pending" also unassigns the
+ * worker (see unassignWorker).
+ * @param {object} request - Request document
+ * @param {string} to      - target status
+ * @param {object} actor   - req.user, or SYSTEM_ACTOR
+ * @param {{ reason?: string, via?: 'deliverable'|'decline' }} [options]
+ *        via — set by the endpoint a move in ENDPOINT_ONLY must come through
+ * @returns {boolean} false if the request already had that status (nothing changed)
+ */
+function changeStatus(request, to, actor, { reason = null, via = null } = {}) {
+  if (!Request.STATUSES.includes(to)) {
+    throw statusError(400, 'INVALID_STATUS', `Unknown status "${to}". Valid statuses: ${Request.STATUSES.join(', ')}`);
+  }
+
+  const from = request.status;
+  if (from === to) return false;
+
+  const role = actorRoleFor(request, actor);
+  if (!role) {
+    throw statusError(403, 'NOT_A_PARTICIPANT', 'You are not allowed to change this request');
+  }
+
+  const allowed = TRANSITIONS[role][from] || [];
+  if (!allowed.includes(to)) {
+    const hint = allowed.length
+      ? `Allowed next: ${allowed.join(', ')}.`
+      : 'You cannot change its status from here.';
+    throw statusError(
+      409,
+      'INVALID_TRANSITION',
+      `Cannot move a request from "${from}" to "${to}" as ${role === 'admin' ? 'an' : 'the'} ${role}. ${hint}`,
+      { from, to, allowed }
+    );
+  }
+
+  const requiredVia = ENDPOINT_ONLY[role]?.[from]?.[to];
+  if (requiredVia && via !== requiredVia) {
+    const hint = ENDPOINT_HINTS[requiredVia];
+    throw statusError(409, hint.code, `${hint[role]} to move the request to "${to}"`);
+  }
+
+  if (WORKER_STATUSES.includes(to) && !request.assignedWorkerId) {
+    throw statusError(409, 'WORKER_REQUIRED', `Assign a worker before moving the request to "${to}"`);
+  }
+
+  const cleanReason = cleanHistoryReason(reason);
+  if (REASON_REQUIRED.includes(to) && !cleanReason) {
+    throw statusError(400, 'REASON_REQUIRED', `A reason is required to move a request to "${to}"`);
+  }
+
+  request.status = to;
+  request.statusHistory.push({
+    from,
+    to,
+    actorId: actor.userId || null,
+    actorRole: role,
+    reason: cleanReason,
+    at: new Date(),
+  });
+  if (to === 'pending') unassignWorker(request);
+  return true;
+}
+
+/**
+ * Take the worker and any open offer off a request — it's back in the admin
+ * queue and nobody is working on it any more. changeStatus() does this on
+ * every move to "pending". Mutates the document only.
+ * @param {object} request - Request document
+ */
+function unassignWorker(request) {
+  request.assignedWorkerId = null;
+  request.assignedWorkerName = null;
+  request.assignmentResponse = null;
+  request.assignmentExpiresAt = null;
+  request.assignmentAcceptedAt = null;
+}
+
+/**
+ * Add a statusHistory entry without changing the status, for events that
+ * matter to the timeline but aren't a move (e.g. swapping the assigned
+ * worker on an already assigned request). Mutates the document only.
+ * @param {object} request - Request document
+ * @param {object} actor   - req.user, or SYSTEM_ACTOR
+ * @param {string} reason
+ */
+function recordStatusEvent(request, actor, reason) {
+  request.statusHistory.push({
+    from: request.status,
+    to: request.status,
+    actorId: actor.userId || null,
+    actorRole: actorRoleFor(request, actor) || actor.role,
+    reason: cleanHistoryReason(reason),
+    at: new Date(),
+  });
+}
+
+module.exports = {
+  STATUS_LABELS,
+  TRANSITIONS,
+  SYSTEM_ACTOR,
+  label,
+  actorRoleFor,
+  allowedTransitions,
+  changeStatus,
+  recordStatusEvent,
+  unassignWorker,
+};
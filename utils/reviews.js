@@ -0,0 +1,33 @@
+// utils/reviews.js — Keeping workerProfile.rating in step with reviews
+'use strict';
+
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const User = require('../models/User');
+
+/**
+ * Recompute a worker's rating as the average of their visible reviews and
+ * store it (rounded to 2 decimals) with the review count. Run after any
+ * review is created, edited, hidden or unhidden — recomputing from the
+ * reviews themselves means edits and moderation can't make the average drift.
+ * @param {string|ObjectId} workerId
+ * @returns {Promise<{ rating: number, reviewCount: number }>}
+ */
+async function recomputeWorkerRating(workerId) {
+  const [totals] = await Review.aggregate([
+    { $match: { workerId: new mongoose.Types.ObjectId(String(workerId)), isHidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  const rating = totals ? Math.round(totals.average * 100) / 100 : 0;
+  const reviewCount = totals ? totals.count : 0;
+
+  await User.updateOne(
+    { _id: workerId },
+    { $set: { 'workerProfile.rating': rating, 'workerProfile.reviewCount': reviewCount } }
+  );
+
+  return { rating, reviewCount };
+}
+
+module.exports = { recomputeWorkerRating };
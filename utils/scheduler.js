@@ -0,0 +1,57 @@
+// utils/scheduler.js — In-process periodic jobs
+// Runs inside the API process (one instance on Render), so there's no queue or
+// cron to deploy. A job that is still running when its next tick comes is
+// skipped rather than started twice, and a failing job is logged and retried
+// on the next tick.
+'use strict';
+
+const { expireUnansweredAssignments } = require('./assignment');
+const { sendSlaReminders, escalateOverdueRequests } = require('./sla');
+
+const jobs = new Map();
+
+/**
+ * Run `fn` every `intervalMs`. The timer doesn't keep the process alive.
+ * @param {string} name - shown in logs; registering the same name twice is a no-op
+ * @param {number} intervalMs
+ * @param {() => Promise<number|void>} fn - may return how many items it handled
+ */
+function every(name, intervalMs, fn) {
+  if (jobs.has(name)) return;
+
+  const job = { running: false, timer: null };
+  job.timer = setInterval(async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      const handled = await fn();
+      if (handled) console.log(`⏱️  ${name}: ${handled} handled`);
+    } catch (err) {
+      console.error(`⏱️  ${name} failed:`, err.message);
+    } finally {
+      job.running = false;
+    }
+  }, intervalMs);
+  job.timer.unref();
+  jobs.set(name, job);
+}
+
+function stopAll() {
+  for (const job of jobs.values()) clearInterval(job.timer);
+  jobs.clear();
+}
+
+const minutes = (n) => n * 60 * 1000;
+
+/** Register every background job. Call once, after MongoDB is connected. */
+function startBackgroundJobs() {
+  // Hand back assignments workers didn't accept in time
+  every('assignment-expiry', minutes(1), expireUnansweredAssignments);
+
+  // SLA: "due soon" reminders, then escalation once overdue
+  const slaInterval = minutes(Number(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5);
+  every('sla-reminders', slaInterval, sendSlaReminders);
+  every('sla-escalation', slaInterval, escalateOverdueRequests);
+}
+
+module.exports = { every, stopAll, startBackgroundJobs };
@@ -0,0 +1,270 @@
+// utils/signingKeys.js — JWT signing with rotating keys
+// Every token carries a `kid` header naming the key that signed it. The newest
+// key signs; superseded keys keep verifying for a grace period (or until an
+// admin retires them). Tokens without a kid predate rotation and are checked
+// against process.env.JWT_SECRET, which is treated as the key with kid 'env'.
+// jsonwebtoken has no EdDSA support, so Ed25519 keys sign and verify with
+// node's crypto; jsonwebtoken still builds and checks the claims (exp, iat…).
+'use strict';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const SigningKey = require('../models/SigningKey');
+
+const ENV_KID = 'env';
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256', 'EdDSA'];
+const DEFAULT_ALGORITHM = SUPPORTED_ALGORITHMS.includes(process.env.JWT_ALGORITHM)
+  ? process.env.JWT_ALGORITHM
+  : 'HS256';
+
+// How long a superseded key still verifies. Must outlive the longest-lived
+// JWT we issue (access tokens, MFA and impersonation tokens are all < 1h).
+const GRACE_HOURS = Number(process.env.JWT_KEY_GRACE_HOURS) || 24;
+
+// Keys are cached per process; other instances pick up a rotation within a minute
+const CACHE_TTL_MS = 60 * 1000;
+// An unknown kid forces a reload, but not more often than this
+const FORCED_RELOAD_MIN_MS = 5 * 1000;
+
+let cache = { keys: [], loadedAt: 0 };
+let loading = null;
+
+function verifyUntil(key) {
+  if (key.retiredAt) return key.retiredAt;
+  if (!key.supersededAt) return null;
+  return new Date(new Date(key.supersededAt).getTime() + GRACE_HOURS * 60 * 60 * 1000);
+}
+
+function canVerify(key, now = new Date()) {
+  const until = verifyUntil(key);
+  return !until || until > now;
+}
+
+async function loadKeys({ force = false } = {}) {
+  const age = Date.now() - cache.loadedAt;
+  if (age < (force ? FORCED_RELOAD_MIN_MS : CACHE_TTL_MS)) return cache.keys;
+
+  if (!loading) {
+    loading = SigningKey.find({ retiredAt: null })
+      .select('+secret +privateKey')
+      .sort({ createdAt: -1 })
+      .lean()
+      .then((keys) => {
+        cache = { keys, loadedAt: Date.now() };
+        return keys;
+      })
+      .finally(() => { loading = null; });
+  }
+  return loading;
+}
+
+// Until the first rotation there are no stored keys and JWT_SECRET signs everything
+function envKey() {
+  return { kid: ENV_KID, algorithm: 'HS256' };
+}
+
+async function currentKey() {
+  const keys = await loadKeys();
+  return keys.find((k) => !k.supersededAt) || envKey();
+}
+
+function signingMaterial(key) {
+  if (key.kid === ENV_KID) return process.env.JWT_SECRET;
+  return key.algorithm === 'HS256' ? key.secret : key.privateKey;
+}
+
+function verificationMaterial(key) {
+  if (key.kid === ENV_KID) return process.env.JWT_SECRET;
+  return key.algorithm === 'HS256' ? key.secret : key.publicKey;
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+// An unsigned token ("alg": "none") carries the claims; swap in our header
+// and an Ed25519 signature over header.payload.
+function signEdDsa(payload, privateKey, options, kid) {
+  const claims = jwt.sign(payload, null, { ...options, algorithm: 'none' }).split('.')[1];
+  const signingInput = `${base64url(JSON.stringify({ alg: 'EdDSA', typ: 'JWT', kid }))}.${claims}`;
+  const signature = crypto.sign(null, Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// Check the Ed25519 signature ourselves, then hand the claims to
+// jsonwebtoken as an unsigned token for the exp / nbf checks.
+function verifyEdDsa(token, header, publicKey) {
+  const [encodedHeader, claims, signature] = token.split('.');
+  const valid = header.alg === 'EdDSA' && signature &&
+    crypto.verify(null, Buffer.from(`${encodedHeader}.${claims}`), publicKey, Buffer.from(signature, 'base64url'));
+  if (!valid) throw new jwt.JsonWebTokenError('invalid signature');
+
+  const unsigned = `${base64url(JSON.stringify({ alg: 'none', typ: 'JWT' }))}.${claims}.`;
+  return jwt.verify(unsigned, null, { algorithms: ['none'] });
+}
+
+/**
+ * Sign a JWT with the current key.
+ * @param {object} payload
+ * @param {object} [options] - jsonwebtoken sign options (expiresIn, …)
+ */
+async function signJwt(payload, options = {}) {
+  const key = await currentKey();
+  if (key.algorithm === 'EdDSA') {
+    return signEdDsa(payload, signingMaterial(key), options, key.kid);
+  }
+  return jwt.sign(payload, signingMaterial(key), {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid,
+  });
+}
+
+/**
+ * Verify a JWT against the key named in its header.
+ * Throws when the signature, expiry or key is invalid.
+ */
+async function verifyJwt(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new Error('Malformed token');
+
+  const kid = decoded.header.kid || ENV_KID;
+  let keys = await loadKeys();
+  let key = keys.find((k) => k.kid === kid);
+  if (!key && (keys.length || kid !== ENV_KID)) {
+    // Another instance may have rotated since we last loaded
+    keys = await loadKeys({ force: true });
+    key = keys.find((k) => k.kid === kid);
+  }
+
+  // Rotation never happened — only JWT_SECRET is valid
+  if (!keys.length && kid === ENV_KID) key = envKey();
+
+  if (!key || !canVerify(key)) throw new Error('Unknown or retired signing key');
+
+  if (key.algorithm === 'EdDSA') {
+    return verifyEdDsa(token, decoded.header, verificationMaterial(key));
+  }
+  return jwt.verify(token, verificationMaterial(key), { algorithms: [key.algorithm] });
+}
+
+function generateKeyMaterial(algorithm) {
+  if (algorithm === 'HS256') {
+    return { secret: crypto.randomBytes(64).toString('base64') };
+  }
+
+  const pem = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  };
+  let pair;
+  if (algorithm === 'RS256') pair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...pem });
+  else if (algorithm === 'ES256') pair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...pem });
+  else pair = crypto.generateKeyPairSync('ed25519', pem);
+
+  const { publicKey, privateKey } = pair;
+
+  return { publicKey, privateKey };
+}
+
+/**
+ * Create a new signing key and demote the current one to verify-only.
+ * On the very first rotation JWT_SECRET is recorded as the 'env' key so it
+ * goes through the same grace period / retirement as any other key.
+ * @param {{ algorithm?: string, createdBy?: string }} [options]
+ */
+async function rotateSigningKey({ algorithm = DEFAULT_ALGORITHM, createdBy = null } = {}) {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported algorithm. Use one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+  }
+
+  const now = new Date();
+
+  if (process.env.JWT_SECRET && !(await SigningKey.exists({ kid: ENV_KID }))) {
+    await SigningKey.create({ kid: ENV_KID, algorithm: 'HS256', supersededAt: now });
+  }
+
+  const key = await SigningKey.create({
+    kid: crypto.randomBytes(8).toString('hex'),
+    algorithm,
+    ...generateKeyMaterial(algorithm),
+    createdBy,
+  });
+
+  await SigningKey.updateMany(
+    { _id: { $ne: key._id }, supersededAt: null },
+    { $set: { supersededAt: now } }
+  );
+
+  cache.loadedAt = 0;
+  await loadKeys();
+  return describeKey(key.toObject());
+}
+
+/**
+ * Stop accepting tokens signed with a key. The current signing key can't be
+ * retired — rotate first.
+ * @returns {Promise<object|null>} the retired key, or null if unknown / already retired
+ */
+async function retireSigningKey(kid) {
+  const key = await SigningKey.findOne({ kid, retiredAt: null });
+  if (!key) return null;
+  if (!key.supersededAt) {
+    throw new Error('This key is currently signing tokens — rotate to a new key before retiring it');
+  }
+
+  key.retiredAt = new Date();
+  await key.save();
+
+  cache.loadedAt = 0;
+  return describeKey(key.toObject());
+}
+
+function describeKey(key, now = new Date()) {
+  let status = 'signing';
+  if (key.supersededAt) status = canVerify(key, now) ? 'verify_only' : 'retired';
+
+  return {
+    kid: key.kid,
+    algorithm: key.algorithm,
+    status,
+    createdAt: key.createdAt,
+    supersededAt: key.supersededAt,
+    verifyUntil: verifyUntil(key),
+    retiredAt: key.retiredAt,
+  };
+}
+
+/** Every key ever created, newest first — no secret material. */
+async function listSigningKeys() {
+  const keys = await SigningKey.find().sort({ createdAt: -1 }).lean();
+  return keys.map((k) => describeKey(k));
+}
+
+/**
+ * Public keys (JWK Set) for asymmetric keys that still verify, so other
+ * services can check our tokens without holding any secret.
+ */
+async function publicJwks() {
+  const keys = await loadKeys();
+  return {
+    keys: keys
+      .filter((k) => k.algorithm !== 'HS256' && k.publicKey && canVerify(k))
+      .map((k) => ({
+        ...crypto.createPublicKey(k.publicKey).export({ format: 'jwk' }),
+        kid: k.kid,
+        alg: k.algorithm,
+        use: 'sig',
+      })),
+  };
+}
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  signJwt,
+  verifyJwt,
+  rotateSigningKey,
+  retireSigningKey,
+  listSigningKeys,
+  publicJwks,
+};
@@ -0,0 +1,153 @@
+// utils/sla.js — Delivery due dates from the plan tier, reminders and escalation
+// A request is due PlanTier.slaDays after it's created. The worker (or the
+// admins, while nobody is assigned) gets one "due soon" reminder, and the
+// admins get one escalation once it's overdue. Both run from utils/scheduler.js.
+'use strict';
+
+const Request = require('../models/Request');
+const User = require('../models/User');
+const PlanTier = require('../models/PlanTier');
+const { notify } = require('./fcm');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reminder lead time — capped at a quarter of the SLA so short (express)
+// plans aren't reminded half way through
+const REMINDER_HOURS = Number(process.env.SLA_REMINDER_HOURS) || 24;
+
+const BATCH_SIZE = 100;
+
+/**
+ * Due date and reminder time for a new request on this plan.
+ * @param {string} plan - PlanTier.tierId
+ * @param {Date} [from] - when the clock starts (creation time)
+ * @returns {Promise<{ dueAt: Date|null, slaReminderAt: Date|null }>}
+ */
+async function computeSla(plan, from = new Date()) {
+  const slaDays = await PlanTier.getSlaDays(plan);
+  if (!slaDays) return { dueAt: null, slaReminderAt: null };
+
+  const windowMs = slaDays * 24 * HOUR_MS;
+  const leadMs = Math.min(REMINDER_HOURS * HOUR_MS, windowMs / 4);
+  return {
+    dueAt: new Date(from.getTime() + windowMs),
+    slaReminderAt: new Date(from.getTime() + windowMs - leadMs),
+  };
+}
+
+/** "5h", "2d 3h", "40m" */
+function formatDuration(ms) {
+  const totalMinutes = Math.max(Math.round(Math.abs(ms) / 60000), 1);
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const mins = totalMinutes % 60;
+  if (days) return hours ? `${days}d ${hours}h` : `${days}d`;
+  if (hours) return `${hours}h`;
+  return `${mins}m`;
+}
+
+async function notifyUsers(users, message) {
+  for (const user of users) {
+    try {
+      await notify({ ...message, userId: user._id, fcmToken: user.fcmToken });
+    } catch (notifErr) {
+      console.warn('SLA notification error (non-fatal):', notifErr.message);
+    }
+  }
+}
+
+const admins = () => User.find({ role: 'admin' }).select('_id fcmToken').lean();
+
+async function assignedWorker(request) {
+  if (!request.assignedWorkerId) return [];
+  const worker = await User.findById(request.assignedWorkerId).select('_id fcmToken').lean();
+  return worker ? [worker] : [];
+}
+
+// Open requests matching `condition`, each claimed by setting `stampField`
+// first so a reminder/escalation is only ever sent once
+async function claimDue(condition, stampField) {
+  const now = new Date();
+  const due = await Request.find({
+    ...condition,
+    status: { $nin: Request.CLOSED_STATUSES },
+    [stampField]: null,
+  }).select('_id').limit(BATCH_SIZE).lean();
+
+  const claimed = [];
+  for (const { _id } of due) {
+    const request = await Request.findOneAndUpdate(
+      { _id, [stampField]: null },
+      { $set: { [stampField]: now } },
+      { new: true }
+    );
+    if (request) claimed.push(request);
+  }
+  return claimed;
+}
+
+/**
+ * Send the "due soon" reminder for requests that reached slaReminderAt.
+ * @returns {Promise<number>} reminders sent
+ */
+async function sendSlaReminders() {
+  const now = new Date();
+  const requests = await claimDue(
+    { slaReminderAt: { $lte: now }, dueAt: { $gt: now } },
+    'slaReminderSentAt'
+  );
+
+  for (const request of requests) {
+    const svcStr = request.services.slice(0, 2).join(', ');
+    const left = formatDuration(request.dueAt - now);
+    const data = { requestId: request._id.toString(), dueAt: request.dueAt.toISOString() };
+
+    if (request.assignedWorkerId) {
+      await notifyUsers(await assignedWorker(request), {
+        title: '⏳ Task Due Soon',
+        body:  `Your task for ${svcStr} is due in ${left}.`,
+        type:  'sla_reminder',
+        data,
+      });
+    } else {
+      await notifyUsers(await admins(), {
+        title: '⏳ Unassigned Request Due Soon',
+        body:  `${request.clientName}'s request for ${svcStr} is due in ${left} and has no worker yet.`,
+        type:  'sla_reminder',
+        data,
+      });
+    }
+  }
+  return requests.length;
+}
+
+/**
+ * Escalate requests that passed their due date to the admins (and tell the
+ * assigned worker).
+ * @returns {Promise<number>} requests escalated
+ */
+async function escalateOverdueRequests() {
+  const requests = await claimDue({ dueAt: { $lte: new Date() } }, 'slaEscalatedAt');
+
+  for (const request of requests) {
+    const svcStr = request.services.slice(0, 2).join(', ');
+    const data = { requestId: request._id.toString(), dueAt: request.dueAt.toISOString() };
+    const who = request.assignedWorkerName ? `assigned to ${request.assignedWorkerName}` : 'unassigned';
+
+    await notifyUsers(await admins(), {
+      title: '🚨 Request Overdue',
+      body:  `${request.clientName}'s ${request.plan} request for ${svcStr} (${who}, ${request.status}) is past its due date.`,
+      type:  'sla_overdue',
+      data,
+    });
+    await notifyUsers(await assignedWorker(request), {
+      title: '🚨 Task Overdue',
+      body:  `Your task for ${svcStr} is past its due date. An admin has been notified.`,
+      type:  'sla_overdue',
+      data,
+    });
+  }
+  return requests.length;
+}
+
+module.exports = { computeSla, sendSlaReminders, escalateOverdueRequests };
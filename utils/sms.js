@@ -0,0 +1,117 @@
+// utils/sms.js — Text messages through a pluggable provider
+// Pick one with SMS_PROVIDER:
+//   console — prints the message (the default; not allowed in production)
+//   file    — appends JSON lines to SMS_OUTBOX_FILE (default sms-outbox.log), for reading codes locally.
+//             Not allowed in production either.
+//   brevo   — Brevo transactional SMS (same BREVO_API_KEY as email; sender name from SMS_SENDER)
+// A provider is any object with `name` and `async send(to, message)`; set
+// `devOnly: true` on ones that don't deliver anything.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+
+const consoleProvider = {
+  name: 'console',
+  devOnly: true,
+  async send(to, message) {
+    console.log(`[SMS → ${to}] ${message}`);
+  },
+};
+
+const fileProvider = {
+  name: 'file',
+  devOnly: true,
+  async send(to, message) {
+    const file = path.resolve(process.env.SMS_OUTBOX_FILE || 'sms-outbox.log');
+    const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() }) + '\n';
+    await fs.promises.appendFile(file, line);
+  },
+};
+
+const brevoProvider = {
+  name: 'brevo',
+  send(to, message) {
+    const payload = JSON.stringify({
+      type: 'transactional',
+      sender: (process.env.SMS_SENDER || 'Nestoric').slice(0, 11),
+      recipient: to.replace(/^\+/, ''),
+      content: message,
+    });
+
+    return new Promise((resolve, reject) => {
+      const req = https.request({
+        hostname: 'api.brevo.com',
+        path: '/v3/transactionalSMS/sms',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'api-key': process.env.BREVO_API_KEY,
+          'Content-Length': Buffer.byteLength(payload),
+        },
+      }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            console.log(`[Brevo SMS] Sent to ${to}`);
+            resolve();
+          } else {
+            const errMsg = `Brevo SMS API error ${res.statusCode}: ${body}`;
+            console.error('[Brevo SMS] Error:', errMsg);
+            reject(new Error(errMsg));
+          }
+        });
+      });
+
+      req.on('error', (err) => {
+        console.error('[Brevo SMS] Request error:', err.message);
+        reject(err);
+      });
+
+      req.setTimeout(10000, () => {
+        req.destroy(new Error('Brevo SMS request timed out after 10s'));
+      });
+
+      req.write(payload);
+      req.end();
+    });
+  },
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  brevo: brevoProvider,
+};
+
+/** Add (or replace) a provider, e.g. a different SMS gateway. */
+function registerSmsProvider(provider) {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('An SMS provider needs a name and a send(to, message) function');
+  }
+  providers[provider.name] = provider;
+}
+
+function getSmsProvider() {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  // Codes that are only logged would leave users unable to verify — fail loudly instead
+  if (provider.devOnly && process.env.NODE_ENV === 'production') {
+    throw new Error(`SMS_PROVIDER "${name}" doesn't deliver texts — set a real provider (e.g. brevo) in production`);
+  }
+  return provider;
+}
+
+/**
+ * Send a text message with the configured provider.
+ * @param {string} to      - E.164 number, e.g. +919876543210
+ * @param {string} message
+ */
+async function sendSms(to, message) {
+  await getSmsProvider().send(to, message);
+}
+
+module.exports = { sendSms, registerSmsProvider, getSmsProvider };
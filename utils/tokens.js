@@ -0,0 +1,325 @@
+// utils/tokens.js — Access/refresh token issuing and verification
+// Access tokens are short-lived JWTs tied to a Session document; refresh tokens
+// are random strings (only their hash is stored) that rotate on every use.
+'use strict';
+
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const { signJwt, verifyJwt } = require('./signingKeys');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// The only /api/auth reads a support session may make: /me drives the
+// impersonation banner. Sessions, providers, MFA, API keys and the data
+// export stay private to the account holder.
+const IMPERSONATION_AUTH_READS = ['/api/auth/me', '/api/auth/password-policy'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return signJwt(
+    { userId: user._id, email: user.email, role: user.role, sid: sessionId },
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Only write lastSeenAt when it is older than this, so every API call isn't a DB write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Optional device details the app sends with sign-in (body for POST, query for GET)
+function deviceInfo(req) {
+  const source = { ...(req.query || {}), ...(req.body || {}) };
+  const clean = (v, max) => (typeof v === 'string' && v.trim() ? v.trim().slice(0, max) : null);
+  return {
+    deviceName: clean(source.deviceName, 100),
+    platform: clean(source.platform, 30),
+  };
+}
+
+/**
+ * Start a new session for a user and return the token pair the app stores.
+ * @param {object} user - User document
+ * @param {object} req  - Express request (for IP / user agent)
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>}
+ */
+async function issueTokens(user, req) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...deviceInfo(req),
+    ip: req.ip || null,
+    userAgent: req.headers['user-agent'] || null,
+    expiresAt: refreshExpiry(),
+  });
+
+  return {
+    token: await signAccessToken(user, session._id.toString()),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Returns null when the token is unknown, expired or revoked.
+ * Replaying an already-rotated token revokes the session it belonged to.
+ * @param {string} refreshToken
+ * @param {object} [req] - Express request; refreshes the session's IP / user agent
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const newRefreshToken = crypto.randomBytes(48).toString('hex');
+
+  const update = {
+    previousTokenHash: hash,
+    refreshTokenHash: hashToken(newRefreshToken),
+    expiresAt: refreshExpiry(),
+    lastSeenAt: new Date(),
+  };
+  if (req) {
+    if (req.ip) update.ip = req.ip;
+    if (req.headers['user-agent']) update.userAgent = req.headers['user-agent'];
+  }
+
+  // One conditional update, so of two refreshes racing with the same token
+  // only one gets a new pair — the other then looks like a replay below
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHash: hash, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (reused) {
+      console.warn(`⚠️  Refresh token reuse detected — revoking session ${reused._id}`);
+    }
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    await Session.updateOne({ _id: session._id }, { $set: { revokedAt: new Date() } });
+    return null;
+  }
+
+  return {
+    user,
+    token: await signAccessToken(user, session._id.toString()),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Start a support session in which an admin acts as another user.
+ * The access token carries `impersonatedBy` and cannot be refreshed — when it
+ * expires the admin has to start a new (separately audited) session.
+ * @param {object} admin  - User document of the admin
+ * @param {object} target - User document being viewed
+ * @param {object} req    - Express request (for IP / user agent)
+ * @param {{ reason: string, allowWrites?: boolean }} options
+ */
+async function issueImpersonationToken(admin, target, req, { reason, allowWrites = false }) {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+  const session = await Session.create({
+    userId: target._id,
+    // Never handed out — only here because the field is required and unique
+    refreshTokenHash: hashToken(crypto.randomBytes(48).toString('hex')),
+    deviceName: `Support: ${admin.email}`.slice(0, 100),
+    ip: req.ip || null,
+    userAgent: req.headers['user-agent'] || null,
+    impersonatedBy: admin._id,
+    expiresAt,
+  });
+
+  const log = await ImpersonationLog.create({
+    adminId: admin._id,
+    adminEmail: admin.email,
+    targetUserId: target._id,
+    targetEmail: target.email,
+    sessionId: session._id,
+    reason,
+    allowWrites,
+    ip: req.ip || null,
+    userAgent: req.headers['user-agent'] || null,
+    expiresAt,
+  });
+
+  const token = await signJwt(
+    {
+      userId: target._id,
+      email: target.email,
+      role: target.role,
+      sid: session._id.toString(),
+      impersonatedBy: admin._id.toString(),
+      impersonationWrites: allowWrites,
+    },
+    { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+  );
+
+  return { token, expiresAt, logId: log._id };
+}
+
+function requestPath(req) {
+  return (req.originalUrl || req.url || '').split('?')[0];
+}
+
+/**
+ * Whether an impersonation token may make this request.
+ * Read-only sessions may only read; no impersonation session may touch the
+ * target's credentials or sign-in settings, or read them (see
+ * IMPERSONATION_AUTH_READS). Logout is always allowed so the admin can end
+ * the session early.
+ */
+function impersonationAllows(decoded, req) {
+  const path = requestPath(req).replace(/\/+$/, '');
+  if (req.method === 'POST' && path === '/api/auth/logout') return true;
+  if (path.startsWith('/api/auth/')) {
+    return READ_METHODS.includes(req.method) && IMPERSONATION_AUTH_READS.includes(path);
+  }
+  if (READ_METHODS.includes(req.method)) return true;
+  return decoded.impersonationWrites === true;
+}
+
+function recordImpersonationAction(sessionId, req, blocked) {
+  ImpersonationLog.updateOne(
+    { sessionId },
+    {
+      $push: {
+        actions: {
+          $each: [{ method: req.method, path: requestPath(req), blocked, at: new Date() }],
+          $slice: -ImpersonationLog.MAX_ACTIONS,
+        },
+      },
+    }
+  ).catch((err) => console.warn('Impersonation audit update failed (non-fatal):', err.message));
+}
+
+/** Mark an impersonation session's audit entry as ended (admin logged out). */
+async function endImpersonation(sessionId) {
+  await ImpersonationLog.updateOne(
+    { sessionId, endedAt: null },
+    { $set: { endedAt: new Date() } }
+  );
+}
+
+/**
+ * Verify an access token and make sure its session is still live.
+ * Throws on any failure — callers answer 401, or `error.status` when set
+ * (403 for a write attempted with a read-only impersonation token, or an
+ * impersonation token reaching a private /api/auth route).
+ * @param {string} token
+ * @param {object} [req] - Express request; needed to enforce and audit impersonation
+ * @returns {Promise<object>} decoded JWT payload ({ userId, email, role, sid, impersonatedBy? })
+ */
+async function verifyAccessToken(token, req) {
+  const decoded = await verifyJwt(token);
+
+  // Tokens issued before sessions existed cannot be revoked — refuse them
+  if (!decoded.sid) throw new Error('Token has no session');
+
+  const session = await Session.findById(decoded.sid)
+    .select('userId revokedAt expiresAt lastSeenAt')
+    .lean();
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new Error('Session revoked');
+  }
+  if (session.userId.toString() !== decoded.userId) {
+    throw new Error('Session mismatch');
+  }
+
+  if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } })
+      .catch((err) => console.warn('Session lastSeenAt update failed (non-fatal):', err.message));
+  }
+
+  if (decoded.impersonatedBy && req) {
+    const allowed = impersonationAllows(decoded, req);
+    recordImpersonationAction(session._id, req, !allowed);
+    if (!allowed) {
+      const accountRoute = requestPath(req).startsWith('/api/auth/');
+      const err = new Error(accountRoute
+        ? 'Account settings are not available in a support session'
+        : 'This support session is read-only');
+      err.status = 403;
+      err.code = accountRoute ? 'IMPERSONATION_FORBIDDEN' : 'IMPERSONATION_READ_ONLY';
+      throw err;
+    }
+  }
+
+  return decoded;
+}
+
+/**
+ * Active (not revoked, not expired) sessions for a user, most recently used first.
+ * @param {string} userId
+ * @param {string} [currentSessionId] - flagged as isCurrent in the result
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessions = await Session.find({
+    userId,
+    revokedAt: null,
+    impersonatedBy: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+  return sessions.map((s) => ({
+    id: s._id,
+    deviceName: s.deviceName,
+    platform: s.platform,
+    ip: s.ip,
+    userAgent: s.userAgent,
+    createdAt: s.createdAt,
+    lastSeenAt: s.lastSeenAt,
+    isCurrent: currentSessionId ? s._id.toString() === currentSessionId : false,
+  }));
+}
+
+/** Revoke one session. Only touches sessions belonging to userId. */
+async function revokeSession(sessionId, userId) {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/** Revoke every session for a user, optionally keeping one (e.g. the caller's). */
+async function revokeAllSessions(userId, exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  verifyAccessToken,
+  issueImpersonationToken,
+  endImpersonation,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  hashToken,
+};
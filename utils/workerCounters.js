@@ -0,0 +1,83 @@
+// utils/workerCounters.js — workerProfile.activeProjects / completedProjects
+// The counters are recomputed from the Request collection whenever a
+// request's worker or status changes, and written in a single $set per
+// worker. Recounting rather than incrementing keeps them exact even when
+// two changes race or a code path forgets to report one.
+'use strict';
+
+const mongoose = require('mongoose');
+const Request = require('../models/Request');
+const User = require('../models/User');
+
+// Statuses that count as a project the worker is still carrying
+const ACTIVE_STATUSES = ['assigned', 'in_progress', 'review', 'on_hold'];
+
+/** { [workerId]: { activeProjects, completedProjects } } for the given workers (all if omitted) */
+async function countProjects(workerIds) {
+  const match = { assignedWorkerId: { $ne: null } };
+  if (workerIds) match.assignedWorkerId = { $in: workerIds };
+
+  const rows = await Request.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$assignedWorkerId',
+        activeProjects:    { $sum: { $cond: [{ $in: ['$status', ACTIVE_STATUSES] }, 1, 0] } },
+        completedProjects: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  return Object.fromEntries(rows.map((r) => [r._id.toString(), r]));
+}
+
+function counterUpdate(workerId, counts) {
+  return {
+    updateOne: {
+      filter: { _id: workerId, role: 'worker' },
+      update: {
+        $set: {
+          'workerProfile.activeProjects':    counts?.activeProjects || 0,
+          'workerProfile.completedProjects': counts?.completedProjects || 0,
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Bring the counters of the given workers up to date. Pass both the old and
+ * the new worker on a reassignment; null/undefined ids are ignored.
+ * Never throws — a failure is logged and POST /api/users/workers/recount
+ * repairs it.
+ */
+async function refreshWorkerCounters(...workerIds) {
+  try {
+    const ids = [...new Set(workerIds.filter(Boolean).map(String))]
+      .filter((id) => mongoose.isValidObjectId(id))
+      .map((id) => new mongoose.Types.ObjectId(id));
+    if (ids.length === 0) return;
+
+    const counts = await countProjects(ids);
+    await User.bulkWrite(ids.map((id) => counterUpdate(id, counts[id.toString()])));
+  } catch (err) {
+    console.warn('Worker counter refresh error (non-fatal):', err.message);
+  }
+}
+
+/**
+ * Rebuild the counters of every worker from scratch.
+ * @returns {Promise<{ workers: number, updated: number }>}
+ */
+async function recountAllWorkers() {
+  const [workers, counts] = await Promise.all([
+    User.find({ role: 'worker' }).select('_id').lean(),
+    countProjects(),
+  ]);
+  if (workers.length === 0) return { workers: 0, updated: 0 };
+
+  const result = await User.bulkWrite(workers.map((w) => counterUpdate(w._id, counts[w._id.toString()])));
+  return { workers: workers.length, updated: result.modifiedCount };
+}
+
+module.exports = { ACTIVE_STATUSES, refreshWorkerCounters, recountAllWorkers };